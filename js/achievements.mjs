@@ -0,0 +1,126 @@
+/**
+ * Achievements, declared as conditions on gameplay stats. Each one unlocks when a stat reaches its goal:
+ * - over "run": within a single run (the best run counts towards the progress shown)
+ * - over "total": summed over all runs
+ * Stats: jumps, dodges (near-misses), pickups (power-ups collected), offScreenSeconds (longest stretch above the screen),
+ * platformTurns (full turns of a platform from its start pose) and survivalSeconds (length of the run).
+ */
+export const ACHIEVEMENTS = {
+    liftOff: { name: "Lift-Off", description: "Jump for the first time", stat: "jumps", goal: 1, over: "total" },
+    kangaroo: { name: "Kangaroo", description: "Jump 25 times in one run", stat: "jumps", goal: 25, over: "run" },
+    frequentFlyer: { name: "Frequent Flyer", description: "Jump 1000 times", stat: "jumps", goal: 1000, over: "total" },
+    closeShave: { name: "Close Shave", description: "Dodge a laser by a hair", stat: "dodges", goal: 1, over: "total" },
+    untouchable: { name: "Untouchable", description: "Dodge 10 lasers in one run", stat: "dodges", goal: 10, over: "run" },
+    intoOrbit: { name: "Into Orbit", description: "Stay above the screen for 2 seconds", stat: "offScreenSeconds", goal: 2, over: "run" },
+    fullCircle: { name: "Full Circle", description: "Turn a platform all the way around", stat: "platformTurns", goal: 1, over: "run" },
+    collector: { name: "Collector", description: "Collect 25 power-ups", stat: "pickups", goal: 25, over: "total" },
+    survivor: { name: "Survivor", description: "Survive for one minute", stat: "survivalSeconds", goal: 60, over: "run" },
+    marathon: { name: "Marathon", description: "Survive for three minutes", stat: "survivalSeconds", goal: 180, over: "run" },
+};
+
+/**
+ * @returns {{unlocked: Object<string, number>, best: Object<string, number>, totals: Object<string, number>}} Progress
+ * without any runs: unlock dates (ms since the epoch) by achievement id, best single-run and summed value by stat.
+ */
+export function emptyAchievementProgress() {
+    return { unlocked: {}, best: {}, totals: {} };
+}
+
+/**
+ * Lists every achievement with its progress, for the achievements panel.
+ * @param {Object} progress - Persisted progress (see emptyAchievementProgress).
+ * @returns {Array<{id: string, name: string, description: string, unlocked: boolean, value: number, goal: number}>}
+ */
+export function getAchievementList(progress) {
+    return Object.keys(ACHIEVEMENTS).map(id => {
+        const { name, description, stat, goal, over } = ACHIEVEMENTS[id];
+        const value = (over === "total" ? progress.totals : progress.best)[stat] || 0;
+        return { id, name, description, unlocked: id in progress.unlocked, value: Math.min(value, goal), goal };
+    });
+}
+
+/**
+ * Tracks the stats of live runs and unlocks achievements as their conditions are met.
+ * @param {Object} progress - Persisted progress (see emptyAchievementProgress), copied, not modified.
+ * @param {function({id: string, name: string, description: string}): void} onUnlock - Called once per newly unlocked achievement.
+ */
+export function AchievementTracker(progress, onUnlock) {
+    const unlocked = { ...progress.unlocked };
+    const best = { ...progress.best };
+    const totals = { ...progress.totals };
+    // Stats of the current run
+    let run = {};
+    // Simulated time (ms) at which the current stretch above the screen began, null while on screen
+    let offScreenSince = null;
+
+    /**
+     * Unlocks every achievement on the stat whose goal is reached.
+     * @param {string} stat - The stat that just changed.
+     */
+    function check(stat) {
+        Object.keys(ACHIEVEMENTS).forEach(id => {
+            const achievement = ACHIEVEMENTS[id];
+            if (achievement.stat !== stat || id in unlocked) return;
+            const value = achievement.over === "total" ? totals[stat] : run[stat];
+            if (value >= achievement.goal) {
+                unlocked[id] = Date.now();
+                onUnlock({ id, name: achievement.name, description: achievement.description });
+            }
+        });
+    }
+
+    /**
+     * Clears the stats of the run, call before each live run.
+     */
+    function startRun() {
+        run = {};
+        offScreenSince = null;
+    }
+
+    /**
+     * Counts an event, e.g. a jump.
+     * @param {string} stat - Counted stat.
+     * @param {number} [amount=1] - How many happened.
+     */
+    function record(stat, amount = 1) {
+        run[stat] = (run[stat] || 0) + amount;
+        totals[stat] = (totals[stat] || 0) + amount;
+        best[stat] = Math.max(best[stat] || 0, run[stat]);
+        check(stat);
+    }
+
+    /**
+     * Raises a measured stat of the run, e.g. the time survived. Lower values than before are ignored.
+     * @param {string} stat - Measured stat.
+     * @param {number} value - The current measurement.
+     */
+    function reach(stat, value) {
+        if (value <= (run[stat] || 0)) return;
+        run[stat] = value;
+        best[stat] = Math.max(best[stat] || 0, value);
+        check(stat);
+    }
+
+    /**
+     * Measures the stats that follow from the state of the run, call after each tick.
+     * @param {Object} state - GameSession.getState().
+     */
+    function observe(state) {
+        // Same condition as the off-screen arrow: the whole ball is above the top edge
+        if (state.y + state.r < 0) {
+            if (offScreenSince === null) offScreenSince = state.simTime;
+            reach("offScreenSeconds", (state.simTime - offScreenSince) / 1000);
+        } else {
+            offScreenSince = null;
+        }
+        reach("platformTurns", Math.max(...state.platforms.map(p => Math.abs(p.angle))) / (Math.PI * 2));
+        reach("survivalSeconds", state.simTime / 1000);
+    }
+
+    /**
+     * @returns {Object} The progress to persist, same shape as the one passed in.
+     */
+    const getProgress = () => ({ unlocked: { ...unlocked }, best: { ...best }, totals: { ...totals } });
+
+    return { startRun, record, reach, observe, getProgress };
+}
@@ -0,0 +1,259 @@
+/**
+ * Procedural audio: every sound effect and the music are synthesized with the Web Audio API, there are no sound files.
+ * Signal chain: effects -> sfx gain, music -> music gain, both -> master gain -> speakers.
+ */
+
+// Volumes (0..1) and mute of a fresh save, see GameStorage.getAudioSettings
+export const DEFAULT_AUDIO_SETTINGS = { master: 0.8, music: 0.5, sfx: 0.8, muted: false };
+
+// A landing this fast into the surface (pixels per tick at scale 1) plays at full volume, slower ones quieter
+const LANDING_FULL_SPEED = 6;
+// Landings softer than this share of full volume stay silent, rolling and small bounces would rattle otherwise
+const LANDING_MIN_STRENGTH = 0.08;
+
+// Music: tempo range in beats per minute from calm to full intensity, and how far ahead notes are scheduled
+const MUSIC_BPM = { calm: 88, intense: 136 };
+const MUSIC_LOOKAHEAD_S = 0.25;
+const MUSIC_TIMER_MS = 100;
+// One chord root per bar (A minor, F, C, G), in semitones relative to A2 (110 Hz)
+const MUSIC_ROOTS = [0, -4, 3, -2];
+// Minor pentatonic steps of the arpeggio above the root
+const MUSIC_ARPEGGIO = [0, 3, 7, 10, 12, 10, 7, 3];
+// Intensity at which each layer joins: arpeggio, hi-hat, lead
+const MUSIC_LAYERS = { arpeggio: 0.2, hihat: 0.5, lead: 0.75 };
+
+/**
+ * @param {number} semitones - Distance from A2.
+ * @returns {number} Frequency in Hz.
+ */
+const noteFrequency = (semitones) => 110 * Math.pow(2, semitones / 12);
+
+/**
+ * Sound effects and adaptive background music. Until unlock() is called from a user gesture nothing plays,
+ * browsers (mobile ones in particular) refuse to start audio otherwise. Without Web Audio support every call is a no-op.
+ * @param {{master: number, music: number, sfx: number, muted: boolean}} settings - Volumes (0..1) and mute.
+ */
+export function AudioEngine(settings) {
+    let current = { ...settings };
+    let ctx = null;
+    let masterGain, musicGain, sfxGain;
+    // One second of white noise, the source of the whooshes, thumps and hi-hats
+    let noiseBuffer;
+
+    // Music state: whether it plays, the scheduler timer, the next sixteenth note and when it is due
+    let musicActive = false;
+    let musicTimer = null;
+    let musicStep = 0;
+    let nextStepTime = 0;
+    let intensity = 0;
+
+    /**
+     * Creates the audio context on the first call and resumes it, call from a tap or click handler.
+     */
+    function unlock() {
+        if (!ctx) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+            ctx = new AudioContextClass();
+            masterGain = ctx.createGain();
+            masterGain.connect(ctx.destination);
+            musicGain = ctx.createGain();
+            musicGain.connect(masterGain);
+            sfxGain = ctx.createGain();
+            sfxGain.connect(masterGain);
+            noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+            const samples = noiseBuffer.getChannelData(0);
+            for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+            applySettings();
+        }
+        if (ctx.state === 'suspended') ctx.resume();
+        // iOS only unlocks once something actually played inside the gesture
+        const silence = ctx.createBufferSource();
+        silence.buffer = ctx.createBuffer(1, 1, ctx.sampleRate);
+        silence.connect(ctx.destination);
+        silence.start();
+    }
+
+    function applySettings() {
+        if (!ctx) return;
+        // A short glide instead of a jump avoids clicks while a slider is dragged
+        masterGain.gain.setTargetAtTime(current.muted ? 0 : current.master, ctx.currentTime, 0.02);
+        musicGain.gain.setTargetAtTime(current.music, ctx.currentTime, 0.02);
+        sfxGain.gain.setTargetAtTime(current.sfx, ctx.currentTime, 0.02);
+    }
+
+    /**
+     * @param {{master: number, music: number, sfx: number, muted: boolean}} settings - New volumes and mute.
+     */
+    function setSettings(settings) {
+        current = { ...settings };
+        applySettings();
+    }
+
+    /**
+     * Plays an oscillator note that glides between two frequencies and fades out.
+     * @param {{type: string, from: number, to?: number, duration: number, volume: number, output?: AudioNode}} note -
+     * Waveform, start and end frequency in Hz, length in seconds, peak gain and the bus (defaults to the effects).
+     * @param {number} [when] - Context time to start at, defaults to now.
+     */
+    function tone({ type, from, to = from, duration, volume, output = sfxGain }, when = ctx.currentTime) {
+        const oscillator = ctx.createOscillator();
+        const gain = ctx.createGain();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(from, when);
+        oscillator.frequency.exponentialRampToValueAtTime(to, when + duration);
+        gain.gain.setValueAtTime(volume, when);
+        gain.gain.exponentialRampToValueAtTime(0.001, when + duration);
+        oscillator.connect(gain).connect(output);
+        oscillator.start(when);
+        oscillator.stop(when + duration);
+    }
+
+    /**
+     * Plays filtered noise whose filter frequency glides between two values and fades out.
+     * @param {{filter: string, from: number, to?: number, duration: number, volume: number, output?: AudioNode}} burst -
+     * Filter type, start and end filter frequency in Hz, length in seconds, peak gain and the bus (defaults to the effects).
+     * @param {number} [when] - Context time to start at, defaults to now.
+     */
+    function noise({ filter, from, to = from, duration, volume, output = sfxGain }, when = ctx.currentTime) {
+        const source = ctx.createBufferSource();
+        const biquad = ctx.createBiquadFilter();
+        const gain = ctx.createGain();
+        source.buffer = noiseBuffer;
+        biquad.type = filter;
+        biquad.frequency.setValueAtTime(from, when);
+        biquad.frequency.exponentialRampToValueAtTime(to, when + duration);
+        gain.gain.setValueAtTime(volume, when);
+        gain.gain.exponentialRampToValueAtTime(0.001, when + duration);
+        source.connect(biquad).connect(gain).connect(output);
+        source.start(when);
+        source.stop(when + duration);
+    }
+
+    /**
+     * Rising blip, the double jump's one higher.
+     * @param {boolean} [airJump=false] - Whether it is the double jump power-up's extra jump.
+     */
+    function playJump(airJump = false) {
+        if (!ctx) return;
+        const base = airJump ? 440 : 300;
+        tone({ type: "triangle", from: base, to: base * 2, duration: 0.12, volume: 0.3 });
+    }
+
+    /**
+     * Thump whose volume and brightness follow how hard the ball hit the surface.
+     * @param {number} impactSpeed - Speed into the surface along the contact normal (pixels per tick at scale 1).
+     */
+    function playLanding(impactSpeed) {
+        if (!ctx) return;
+        const strength = Math.min(1, impactSpeed / LANDING_FULL_SPEED);
+        if (strength < LANDING_MIN_STRENGTH) return;
+        tone({ type: "sine", from: 140, to: 45, duration: 0.15, volume: 0.6 * strength });
+        noise({ filter: "lowpass", from: 300 + 1200 * strength, to: 100, duration: 0.08, volume: 0.3 * strength });
+    }
+
+    /**
+     * Whoosh of a hazard entering the screen.
+     */
+    function playLaserSpawn() {
+        if (!ctx) return;
+        noise({ filter: "bandpass", from: 300, to: 3000, duration: 0.35, volume: 0.25 });
+    }
+
+    /**
+     * Zap of a hazard hitting the ball (also when a shield takes the hit).
+     */
+    function playLaserHit() {
+        if (!ctx) return;
+        tone({ type: "sawtooth", from: 600, to: 60, duration: 0.3, volume: 0.3 });
+        noise({ filter: "highpass", from: 2000, to: 500, duration: 0.2, volume: 0.3 });
+    }
+
+    /**
+     * Short chime of a collected power-up.
+     */
+    function playPickup() {
+        if (!ctx) return;
+        tone({ type: "sine", from: 660, duration: 0.1, volume: 0.25 });
+        tone({ type: "sine", from: 990, duration: 0.15, volume: 0.25 }, ctx.currentTime + 0.08);
+    }
+
+    /**
+     * Three falling notes.
+     */
+    function playGameOver() {
+        if (!ctx) return;
+        [12, 8, 5].forEach((semitones, i) => {
+            tone({ type: "triangle", from: noteFrequency(semitones + 12), duration: 0.35, volume: 0.35 }, ctx.currentTime + i * 0.25);
+        });
+    }
+
+    /**
+     * Plays the notes of one sixteenth step of the music. Layers join as the intensity grows.
+     * @param {number} step - Step counter since the music started.
+     * @param {number} when - Context time the step is due.
+     * @param {number} stepSeconds - Length of a step.
+     */
+    function playMusicStep(step, when, stepSeconds) {
+        const root = MUSIC_ROOTS[Math.floor(step / 16) % MUSIC_ROOTS.length];
+        const music = { output: musicGain };
+        // Bass on every beat
+        if (step % 4 === 0) tone({ ...music, type: "triangle", from: noteFrequency(root - 12), duration: stepSeconds * 3, volume: 0.5 }, when);
+        // Arpeggio on the eighth notes
+        if (intensity >= MUSIC_LAYERS.arpeggio && step % 2 === 0) {
+            const note = MUSIC_ARPEGGIO[(step / 2) % MUSIC_ARPEGGIO.length];
+            tone({ ...music, type: "square", from: noteFrequency(root + note + 12), duration: stepSeconds * 1.5, volume: 0.08 }, when);
+        }
+        // Hi-hat on the off-beats
+        if (intensity >= MUSIC_LAYERS.hihat && step % 4 === 2) {
+            noise({ ...music, filter: "highpass", from: 7000, duration: 0.05, volume: 0.15 }, when);
+        }
+        // Lead: the chord's fifth an octave up, held over the first half of each bar
+        if (intensity >= MUSIC_LAYERS.lead && step % 16 === 0) {
+            tone({ ...music, type: "sawtooth", from: noteFrequency(root + 31), duration: stepSeconds * 8, volume: 0.06 }, when);
+        }
+    }
+
+    /**
+     * Schedules the music steps that are due within the lookahead window.
+     */
+    function scheduleMusic() {
+        const bpm = MUSIC_BPM.calm + (MUSIC_BPM.intense - MUSIC_BPM.calm) * intensity;
+        const stepSeconds = 60 / bpm / 4;
+        while (nextStepTime < ctx.currentTime + MUSIC_LOOKAHEAD_S) {
+            playMusicStep(musicStep, nextStepTime, stepSeconds);
+            nextStepTime += stepSeconds;
+            musicStep++;
+        }
+    }
+
+    /**
+     * Starts or stops the music, e.g. when a run starts, pauses or ends. Cheap to call every frame.
+     * @param {boolean} active - Whether music should play.
+     */
+    function setMusicActive(active) {
+        if (!ctx || active === musicActive) return;
+        musicActive = active;
+        if (active) {
+            musicStep = 0;
+            nextStepTime = ctx.currentTime + 0.05;
+            scheduleMusic();
+            musicTimer = setInterval(scheduleMusic, MUSIC_TIMER_MS);
+        } else {
+            clearInterval(musicTimer);
+            musicTimer = null;
+        }
+    }
+
+    /**
+     * @param {number} value - How intense the game is (0..1): the music speeds up and adds layers.
+     */
+    function setIntensity(value) {
+        intensity = value;
+    }
+
+    return {
+        unlock, setSettings, setMusicActive, setIntensity,
+        playJump, playLanding, playLaserSpawn, playLaserHit, playPickup, playGameOver,
+    };
+}
@@ -7,6 +7,80 @@ export function closestPointOnSegment(px, py, x1, y1, x2, y2) {
     return { x: x1 + vx * t, y: y1 + vy * t, t };
 }
 
+/**
+ * True if a direction from the arc center (in radians) lies within the arc.
+ */
+function isWithinArc(angle, arc) {
+    let sweep = arc.endAngle - arc.startAngle;
+    // like canvas, an end angle below the start wraps around clockwise instead of sweeping backwards
+    if (sweep < 0) sweep = (sweep % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+    // angle measured from the arc start, 0 .. 2PI
+    const fromStart = ((angle - arc.startAngle) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+    return sweep >= 2 * Math.PI || fromStart <= sweep;
+}
+
+/**
+ * Closest point on a circular arc (the part of the circle from startAngle to endAngle, clockwise like canvas arcs).
+ */
+function closestPointOnArc(px, py, arc) {
+    const angle = Math.atan2(py - arc.cy, px - arc.cx);
+    if (isWithinArc(angle, arc)) {
+        return { x: arc.cx + Math.cos(angle) * arc.radius, y: arc.cy + Math.sin(angle) * arc.radius };
+    }
+    // outside the arc: the nearer of the two end points
+    const sx = arc.cx + Math.cos(arc.startAngle) * arc.radius, sy = arc.cy + Math.sin(arc.startAngle) * arc.radius;
+    const ex = arc.cx + Math.cos(arc.endAngle) * arc.radius, ey = arc.cy + Math.sin(arc.endAngle) * arc.radius;
+    return (px - sx) ** 2 + (py - sy) ** 2 <= (px - ex) ** 2 + (py - ey) ** 2 ? { x: sx, y: sy } : { x: ex, y: ey };
+}
+
+/**
+ * Circle vs convex polygon. The circle center may be inside the polygon, then it is pushed out through the nearest edge.
+ */
+function circlePolygonHit(cx, cy, cr, o) {
+    const pts = o.points;
+    let best = null;
+    let inside = true;
+    let sign = 0;
+    for (let i = 0; i < pts.length; i++) {
+        const a = pts[i], b = pts[(i + 1) % pts.length];
+        // the center is inside a convex polygon if it is on the same side of every edge
+        const cross = (b.x - a.x) * (cy - a.y) - (b.y - a.y) * (cx - a.x);
+        if (cross !== 0) {
+            if (sign === 0) sign = Math.sign(cross);
+            else if (Math.sign(cross) !== sign) inside = false;
+        }
+        const cp = closestPointOnSegment(cx, cy, a.x, a.y, b.x, b.y);
+        const dist = Math.hypot(cx - cp.x, cy - cp.y);
+        if (!best || dist < best.dist) best = { cp, dist, a, b };
+    }
+    if (!best) return null;
+
+    const { cp, dist, a, b } = best;
+    if (inside) {
+        // outward normal of the nearest edge (its orientation depends on the winding)
+        const ex = b.x - a.x, ey = b.y - a.y;
+        const len = Math.hypot(ex, ey) || 1;
+        const nx = sign > 0 ? ey / len : -ey / len;
+        const ny = sign > 0 ? -ex / len : ex / len;
+        return { source: o, kind: "polygon", cp: { x: cp.x, y: cp.y }, dist, nx, ny, penetration: cr + dist };
+    }
+    if (dist > cr) return null;
+    const nx = dist === 0 ? 0 : (cx - cp.x) / dist;
+    const ny = dist === 0 ? 0 : (cy - cp.y) / dist;
+    return { source: o, kind: "polygon", cp: { x: cp.x, y: cp.y }, dist, nx, ny, penetration: cr - dist };
+}
+
+/**
+ * Collects every obstacle a circle touches. Supported obstacle shapes:
+ * - { type: "segment", x1, y1, x2, y2, thickness } capsule
+ * - { type: "rect", x, y, w, h } axis-aligned rectangle
+ * - { type: "circle", x, y, radius }
+ * - { type: "polygon", points: [{x, y}, ...] } convex, any winding (rotated rects are polygons)
+ * - { type: "arc", cx, cy, radius, startAngle, endAngle, thickness } curved capsule, clockwise from startAngle
+ * Moving obstacles may also carry centerX/centerY/angularVelocity and vx/vy, see physics.step.
+ * @returns {Array<{source: Object, kind: string, cp: {x: number, y: number}, dist: number, nx: number, ny: number, penetration: number}>}
+ * One hit per touched obstacle, the normal points from the obstacle towards the circle.
+ */
 export function checkCircleCollisions(cx, cy, cr, obstacles) {
     const hits = [];
 
@@ -36,8 +110,162 @@ export function checkCircleCollisions(cx, cy, cr, obstacles) {
                 const ny = dist === 0 ? 0 : dy/dist;
                 hits.push({ source: o, kind: "rect", cp: {x: closestX, y: closestY}, dist, nx, ny, penetration: cr - dist });
             }
+
+        } else if (o.type === "circle") {
+            const dx = cx - o.x, dy = cy - o.y;
+            const dist = Math.hypot(dx, dy);
+            const rEff = cr + o.radius;
+            if (dist <= rEff) {
+                const nx = dist === 0 ? 0 : dx / dist;
+                const ny = dist === 0 ? 0 : dy / dist;
+                const cp = { x: o.x + nx * o.radius, y: o.y + ny * o.radius };
+                hits.push({ source: o, kind: "circle", cp, dist, nx, ny, penetration: rEff - dist });
+            }
+
+        } else if (o.type === "polygon") {
+            const hit = circlePolygonHit(cx, cy, cr, o);
+            if (hit) hits.push(hit);
+
+        } else if (o.type === "arc") {
+            // arc treated like a bent capsule (arc + half-thickness)
+            const cp = closestPointOnArc(cx, cy, o);
+            const dxp = cx - cp.x, dyp = cy - cp.y;
+            const dist = Math.hypot(dxp, dyp);
+            const rEff = cr + (o.thickness || 0) / 2;
+            if (dist <= rEff) {
+                const nx = dist === 0 ? 0 : dxp / dist;
+                const ny = dist === 0 ? 0 : dyp / dist;
+                hits.push({ source: o, kind: "arc", cp, dist, nx, ny, penetration: rEff - dist });
+            }
         }
     }
 
     return hits;
 }
+
+/**
+ * Earliest time (0..1) at which a point moving from (px, py) by (vx, vy) comes within distance R of (cx, cy).
+ * Returns null if it never does, or if the point already starts within R.
+ */
+function sweepPointCircle(px, py, vx, vy, cx, cy, R) {
+    const fx = px - cx, fy = py - cy;
+    const c = fx * fx + fy * fy - R * R;
+    if (c <= 0) return null;
+    const a = vx * vx + vy * vy;
+    const b = 2 * (fx * vx + fy * vy);
+    const disc = b * b - 4 * a * c;
+    if (a === 0 || disc < 0) return null;
+    const t = (-b - Math.sqrt(disc)) / (2 * a);
+    return t >= 0 && t <= 1 ? t : null;
+}
+
+/**
+ * Earliest time (0..1) at which a moving point comes within distance R of the segment (x1, y1)-(x2, y2),
+ * i.e. hits the capsule around it. Returns null if it never does or already starts inside.
+ */
+function sweepPointCapsule(px, py, vx, vy, x1, y1, x2, y2, R) {
+    let best = null;
+    const keep = (t) => { if (t !== null && (best === null || t < best)) best = t; };
+
+    const ex = x2 - x1, ey = y2 - y1;
+    const len = Math.hypot(ex, ey);
+    if (len > 0) {
+        // the two straight sides of the capsule, parallel to the segment at distance R
+        const ux = ex / len, uy = ey / len;
+        const nx = -uy, ny = ux;
+        const d0 = (px - x1) * nx + (py - y1) * ny;
+        const dv = vx * nx + vy * ny;
+        if (Math.abs(d0) > R && dv !== 0 && Math.sign(dv) !== Math.sign(d0)) {
+            const t = (Math.sign(d0) * R - d0) / dv;
+            const along = (px + vx * t - x1) * ux + (py + vy * t - y1) * uy;
+            if (t >= 0 && t <= 1 && along >= 0 && along <= len) keep(t);
+        }
+    }
+    // the rounded caps
+    keep(sweepPointCircle(px, py, vx, vy, x1, y1, R));
+    keep(sweepPointCircle(px, py, vx, vy, x2, y2, R));
+    return best;
+}
+
+/**
+ * Earliest time (0..1) at which a moving point comes within distance R of a closed outline (rect or convex polygon
+ * corners), i.e. hits one of the capsules around its edges. Returns null if it never does.
+ */
+function sweepPointOutline(px, py, vx, vy, points, R) {
+    let best = null;
+    points.forEach((a, i) => {
+        const b = points[(i + 1) % points.length];
+        const t = sweepPointCapsule(px, py, vx, vy, a.x, a.y, b.x, b.y, R);
+        if (t !== null && (best === null || t < best)) best = t;
+    });
+    return best;
+}
+
+/**
+ * Earliest time (0..1) at which a moving point comes within distance R of an arc: it crosses the outer rim on the way in,
+ * the inner rim on the way out of the hollow, or one of the rounded ends. Returns null if it never does.
+ */
+function sweepPointArc(px, py, vx, vy, arc, R) {
+    let best = null;
+    const keepOnArc = (t) => {
+        if (t === null || t < 0 || t > 1 || (best !== null && t >= best)) return;
+        if (isWithinArc(Math.atan2(py + vy * t - arc.cy, px + vx * t - arc.cx), arc)) best = t;
+    };
+    keepOnArc(sweepPointCircle(px, py, vx, vy, arc.cx, arc.cy, arc.radius + R));
+    const inner = arc.radius - R;
+    const fx = px - arc.cx, fy = py - arc.cy;
+    const a = vx * vx + vy * vy;
+    if (inner > 0 && a > 0 && fx * fx + fy * fy < inner * inner) {
+        // starting inside the hollow, the rim is reached where the path leaves the inner circle
+        const b = 2 * (fx * vx + fy * vy);
+        const c = fx * fx + fy * fy - inner * inner;
+        keepOnArc((-b + Math.sqrt(b * b - 4 * a * c)) / (2 * a));
+    }
+    for (const angle of [arc.startAngle, arc.endAngle]) {
+        const t = sweepPointCircle(px, py, vx, vy, arc.cx + Math.cos(angle) * arc.radius, arc.cy + Math.sin(angle) * arc.radius, R);
+        if (t !== null && (best === null || t < best)) best = t;
+    }
+    return best;
+}
+
+/**
+ * Swept test for a circle moving from (cx, cy) by (vx, vy) during one step: finds the first obstacle it touches on the way
+ * and the time of impact, so fast circles can't pass through thin obstacles between two overlap tests.
+ * Handles every shape of checkCircleCollisions and treats the obstacles as static during the step.
+ * Obstacles the circle already touches at the start are skipped, checkCircleCollisions reports those.
+ * @returns {?{t: number, source: Object}} Time of impact as a fraction of the step, or null if nothing is hit.
+ */
+export function sweepCircle(cx, cy, vx, vy, cr, obstacles) {
+    let first = null;
+    for (const o of obstacles) {
+        let t = null;
+        if (o.type === "segment") {
+            t = sweepPointCapsule(cx, cy, vx, vy, o.x1, o.y1, o.x2, o.y2, cr + (o.thickness || 0) / 2);
+        } else if (o.type === "rect") {
+            // the rect grown by the circle radius has rounded corners: it is the union of capsules around its edges
+            if (checkCircleCollisions(cx, cy, cr, [o]).length > 0) continue;
+            const corners = [{ x: o.x, y: o.y }, { x: o.x + o.w, y: o.y }, { x: o.x + o.w, y: o.y + o.h }, { x: o.x, y: o.y + o.h }];
+            t = sweepPointOutline(cx, cy, vx, vy, corners, cr);
+        } else if (o.type === "circle") {
+            t = sweepPointCircle(cx, cy, vx, vy, o.x, o.y, cr + o.radius);
+        } else if (o.type === "polygon") {
+            // same as a rect: a convex polygon is entered through the capsule around one of its edges
+            if (checkCircleCollisions(cx, cy, cr, [o]).length > 0) continue;
+            t = sweepPointOutline(cx, cy, vx, vy, o.points, cr);
+        } else if (o.type === "arc") {
+            if (checkCircleCollisions(cx, cy, cr, [o]).length > 0) continue;
+            t = sweepPointArc(cx, cy, vx, vy, o, cr + (o.thickness || 0) / 2);
+        }
+        if (t !== null && (first === null || t < first.t)) first = { t, source: o };
+    }
+    return first;
+}
+
+/**
+ * True if a circle overlaps the shape (same shapes as checkCircleCollisions). Touching edges don't count.
+ * @param {{x: number, y: number, r: number}} ball - The circle, e.g. the ball state.
+ * @param {Object} shape - Obstacle shape.
+ */
+export function circleOverlaps(ball, shape) {
+    return checkCircleCollisions(ball.x, ball.y, ball.r, [shape]).some(hit => hit.penetration > 0);
+}
@@ -1,95 +1,281 @@
-const TIME_TO_START_INCREASE = 10; // seconds
-const BALL_SPEED_INCREASE_FACTOR = 0.1; // per second
+/**
+ * Difficulty profiles. Every tuning value is a curve over the elapsed run time:
+ *   { keys: [[seconds, value], ...], ease: "linear" | "easeIn" | "easeOut" | "easeInOut" }
+ * Between two keys the value moves along the easing, before the first key and after the last it holds.
+ * A plain number is a constant curve.
+ * Besides the curves a profile has the hazard unlock times (seconds, see hazards.mjs), when the
+ * gravity/wind events (FIELD_EVENTS) begin (null = never) and the jump tuning:
+ * - strength: upward speed of a tapped jump (pixels per tick at scale 1)
+ * - holdBoost, holdTicks: extra upward speed per tick while the input stays held, for at most holdTicks ticks
+ * - coyoteTicks: ticks after leaving a surface during which a jump still works
+ * - bufferTicks: ticks a press is remembered while the ball can't jump yet
+ */
+const NORMAL = {
+    name: "Normal",
+    curves: {
+        // Ball speed grows by 0.1 per second after the first 10 seconds, for five minutes
+        maxSpeed: { keys: [[10, 10], [310, 40]] },
+        manualRotationSpeed: 0.025,
+        autoRotationSpeed: { keys: [[60, 0.008], [240, 0.012]], ease: "easeInOut" },
+        laserSpeed: { keys: [[60, 3.5], [240, 4.5]], ease: "easeIn" },
+        laserWidth: { keys: [[90, 60], [240, 80]] },
+        laserHeight: 12,
+        // Interval between hazard spawns in ms: 4 seconds, down to 1 second 30 seconds later
+        laserSpawnInterval: { keys: [[10, 4000], [40, 1000]] },
+    },
+    hazards: { laser: 0, beam: 20, telegraph: 35, sweeper: 50, orb: 70, frost: 90 },
+    fieldEventStart: 45,
+    // A tap jumps a bit lower than the old fixed jump (10), holding it goes up to 12
+    jump: { strength: 8, holdBoost: 0.4, holdTicks: 10, coyoteTicks: 6, bufferTicks: 6 },
+};
 
-const BASE_MAX_SPEED = 10.0;
-const BASE_MANUAL_ROTATION_SPEED = 0.025;
-const BASE_AUTO_ROTATION_SPEED = 0.008;
+const EASY = {
+    name: "Easy",
+    curves: {
+        maxSpeed: { keys: [[20, 9], [320, 30]] },
+        manualRotationSpeed: 0.025,
+        autoRotationSpeed: { keys: [[90, 0.006], [300, 0.009]], ease: "easeInOut" },
+        laserSpeed: { keys: [[90, 3], [300, 4]], ease: "easeIn" },
+        laserWidth: 50,
+        laserHeight: 10,
+        laserSpawnInterval: { keys: [[20, 5000], [100, 1800]], ease: "easeOut" },
+    },
+    hazards: { laser: 0, beam: 40, telegraph: 60, sweeper: 90, orb: 120, frost: 150 },
+    fieldEventStart: 70,
+    jump: { strength: 8, holdBoost: 0.4, holdTicks: 10, coyoteTicks: 10, bufferTicks: 10 },
+};
 
-// NEW: Constants for Laser Mechanics
-const BASE_LASER_SPEED = 3.5;
-const BASE_LASER_WIDTH = 60;
-const BASE_LASER_HEIGHT = 12;
-export const BASE_LASER_SPAWN_INTERVAL = 4000; // Start at 4 seconds (in ms)
+const HARD = {
+    name: "Hard",
+    curves: {
+        maxSpeed: { keys: [[5, 11], [205, 40]] },
+        manualRotationSpeed: 0.028,
+        autoRotationSpeed: { keys: [[0, 0.01], [150, 0.016]], ease: "easeIn" },
+        laserSpeed: { keys: [[0, 4], [150, 5.5]] },
+        laserWidth: { keys: [[30, 60], [150, 90]] },
+        laserHeight: { keys: [[60, 12], [150, 16]] },
+        laserSpawnInterval: { keys: [[5, 3000], [35, 800]], ease: "easeOut" },
+    },
+    hazards: { laser: 0, beam: 10, telegraph: 20, sweeper: 30, orb: 45, frost: 60 },
+    fieldEventStart: 30,
+    jump: { strength: 8, holdBoost: 0.4, holdTicks: 10, coyoteTicks: 4, bufferTicks: 4 },
+};
 
-// NEW: Constants for Progressive Laser Spawning
-const LASER_SPAWN_DECREASE_FACTOR = 100; // Decrease interval by 100ms per second
-const MIN_LASER_SPAWN_INTERVAL = 1000; // Minimum interval of 1 second (1000ms)
+// Selectable presets, in the order they are offered
+export const DIFFICULTY_PRESETS = { easy: EASY, normal: NORMAL, hard: HARD };
+export const DEFAULT_DIFFICULTY = "normal";
 
-let currentMaxSpeed = BASE_MAX_SPEED;
-let currentManualRotationSpeed = BASE_MANUAL_ROTATION_SPEED;
-let currentAutoRotationSpeed = BASE_AUTO_ROTATION_SPEED; 
-let gameStartTime = 0;
+/**
+ * @returns {Array<{id: string, name: string}>} The presets for the selector.
+ */
+export function getDifficultyPresets() {
+    return Object.keys(DIFFICULTY_PRESETS).map(id => ({ id, name: DIFFICULTY_PRESETS[id].name }));
+}
+
+/**
+ * @param {string} id - Preset id.
+ * @returns {Object} The difficulty profile.
+ * @throws {Error} If there is no preset with that id.
+ */
+export function getDifficultyPreset(id) {
+    const profile = DIFFICULTY_PRESETS[id];
+    if (!profile) throw new Error(`Unknown difficulty: ${id}`);
+    return profile;
+}
 
-// NEW: Current laser spawn interval
-let currentLaserSpawnInterval = BASE_LASER_SPAWN_INTERVAL;
+// Easing functions mapping 0..1 to 0..1
+const EASINGS = {
+    linear: (t) => t,
+    easeIn: (t) => t * t,
+    easeOut: (t) => 1 - (1 - t) * (1 - t),
+    easeInOut: (t) => t * t * (3 - 2 * t),
+};
 
 /**
- * Initializes the game start time on the first frame.
- * @param {number} timestamp - The current requestAnimationFrame timestamp.
+ * Evaluates a curve at a point in time.
+ * @param {number|{keys: Array<number[]>, ease?: string}} curve - Constant or keyframed curve.
+ * @param {number} seconds - Elapsed run time.
+ * @returns {number} The value.
  */
-export function initDifficulty(timestamp) {
-    if (gameStartTime === 0) {
-        gameStartTime = timestamp;
+export function sampleCurve(curve, seconds) {
+    if (typeof curve === 'number') return curve;
+    const { keys } = curve;
+    if (seconds <= keys[0][0]) return keys[0][1];
+    const ease = EASINGS[curve.ease || "linear"];
+    for (let i = 1; i < keys.length; i++) {
+        const [t1, v1] = keys[i];
+        if (seconds < t1) {
+            const [t0, v0] = keys[i - 1];
+            return v0 + (v1 - v0) * ease((seconds - t0) / (t1 - t0));
+        }
     }
+    return keys[keys.length - 1][1];
+}
+
+/**
+ * How far a value has come along a curve, from its first key to its last.
+ * @param {number|{keys: Array<number[]>, ease?: string}} curve - Constant or keyframed curve.
+ * @param {number} value - A value of the curve.
+ * @returns {number} 0 at the first key's value, 1 at the last one's, always 0 for constant curves.
+ */
+export function curveProgress(curve, value) {
+    if (typeof curve === 'number') return 0;
+    const first = curve.keys[0][1], last = curve.keys[curve.keys.length - 1][1];
+    return first === last ? 0 : Math.max(0, Math.min(1, (value - first) / (last - first)));
 }
 
+// Timed global events for the late game: the first one starts at the profile's fieldEventStart, then a new one
+// every FIELD_EVENT_INTERVAL seconds, cycling through FIELD_EVENTS. Each lasts `seconds`.
+// gravityScale multiplies gravity, windX is a sideways acceleration (pixels per tick² at scale 1, see forces.mjs).
+const FIELD_EVENT_INTERVAL = 25;
+const FIELD_EVENTS = [
+    { type: "lowGravity", seconds: 6, gravityScale: 0.4, windX: 0 },
+    { type: "wind", seconds: 5, gravityScale: 1, windX: 0.06 },
+    { type: "flipGravity", seconds: 1.5, gravityScale: -0.4, windX: 0 },
+    { type: "wind", seconds: 5, gravityScale: 1, windX: -0.06 },
+];
+
 /**
- * Resets the difficulty variables to their base values and sets a new game start time.
- * @param {number} timestamp - The current requestAnimationFrame timestamp.
+ * Field event active after the given number of seconds.
+ * @param {number} seconds - Elapsed run time.
+ * @param {?number} start - Seconds at which the first event begins, null for none.
+ * @returns {?{type: string, seconds: number, gravityScale: number, windX: number, remaining: number}} The event, or null.
  */
-export function resetDifficulty(timestamp) {
-    gameStartTime = timestamp;
-    currentMaxSpeed = BASE_MAX_SPEED;
-    currentAutoRotationSpeed = BASE_AUTO_ROTATION_SPEED;
-    // RESET LASER INTERVAL
-    currentLaserSpawnInterval = BASE_LASER_SPAWN_INTERVAL;
+function fieldEventAt(seconds, start) {
+    if (start === null || seconds < start) return null;
+    const sinceStart = seconds - start;
+    const index = Math.floor(sinceStart / FIELD_EVENT_INTERVAL);
+    const event = FIELD_EVENTS[index % FIELD_EVENTS.length];
+    const into = sinceStart - index * FIELD_EVENT_INTERVAL;
+    return into < event.seconds ? { ...event, remaining: event.seconds - into } : null;
 }
 
 /**
- * Updates dynamic difficulty settings based on elapsed time.
- * @param {number} timestamp - The current requestAnimationFrame timestamp.
+ * Tracks the dynamic difficulty of one run. Each GameSession owns its own tracker,
+ * so several sessions (e.g. bots in tests) can run side by side.
+ * @param {Object} [profile] - Difficulty profile, one of DIFFICULTY_PRESETS.
+ * @param {Object<string, number>} [hazardUnlockTimes] - Seconds at which each hazard type unlocks, e.g. from a level.
+ * Defaults to the profile's.
  */
-export function updateDifficulty(timestamp) {
-    const elapsedTime = (timestamp - gameStartTime) / 1000; // time in seconds
-
-    if (elapsedTime > TIME_TO_START_INCREASE) {
-        const timeOverThreshold = elapsedTime - TIME_TO_START_INCREASE;
-
-        // Ball speed increases dynamically
-        currentMaxSpeed = BASE_MAX_SPEED + (timeOverThreshold * BALL_SPEED_INCREASE_FACTOR);
-
-        // NEW: Laser spawn interval decreases dynamically
-        const decrease = timeOverThreshold * LASER_SPAWN_DECREASE_FACTOR;
-        currentLaserSpawnInterval = Math.max(
-            BASE_LASER_SPAWN_INTERVAL - decrease,
-            MIN_LASER_SPAWN_INTERVAL
-        );
-    } else {
-        // Use base speeds for the first 10 seconds
-        currentMaxSpeed = BASE_MAX_SPEED;
-        currentLaserSpawnInterval = BASE_LASER_SPAWN_INTERVAL; // Use base interval
+export function DifficultyTracker(profile = DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY], hazardUnlockTimes = profile.hazards) {
+    let gameStartTime = 0;
+    let state;
+
+    /**
+     * Evaluates the profile at the given elapsed time.
+     * @param {number} seconds - Elapsed run time.
+     */
+    function stateAt(seconds) {
+        const value = (name) => sampleCurve(profile.curves[name], seconds);
+        return {
+            currentMaxSpeed: value("maxSpeed"),
+            currentManualRotationSpeed: value("manualRotationSpeed"),
+            currentAutoRotationSpeed: value("autoRotationSpeed"),
+            laserSpeed: value("laserSpeed"),
+            laserWidth: value("laserWidth"),
+            laserHeight: value("laserHeight"),
+            laserSpawnInterval: value("laserSpawnInterval"),
+            // Hazard types that may currently spawn
+            hazardTypes: Object.keys(hazardUnlockTimes).filter(type => seconds >= hazardUnlockTimes[type]),
+            // Active gravity/wind event (see FIELD_EVENTS), or null
+            fieldEvent: fieldEventAt(seconds, profile.fieldEventStart),
+        };
+    }
+
+    /**
+     * Resets the difficulty to the start of the profile and sets a new game start time.
+     * @param {number} timestamp - The current simulation time in ms.
+     */
+    function reset(timestamp) {
+        gameStartTime = timestamp;
+        state = stateAt(0);
     }
-    
-    // Auto rotation speed is now fixed
-    currentAutoRotationSpeed = BASE_AUTO_ROTATION_SPEED;
-    
-    // Manual rotation speed remains fixed
-    currentManualRotationSpeed = BASE_MANUAL_ROTATION_SPEED;
+
+    /**
+     * Updates the difficulty settings based on elapsed time.
+     * @param {number} timestamp - The current simulation time in ms.
+     */
+    function update(timestamp) {
+        state = stateAt((timestamp - gameStartTime) / 1000);
+    }
+
+    /**
+     * Returns the current difficulty settings.
+     * @returns {{currentMaxSpeed: number, currentManualRotationSpeed: number, currentAutoRotationSpeed: number, laserSpeed: number, laserWidth: number, laserHeight: number, laserSpawnInterval: number, hazardTypes: string[], fieldEvent: ?Object}}
+     */
+    function getState() {
+        return state;
+    }
+
+    reset(0);
+
+    return { reset, update, getState };
 }
 
+// Adaptive mode: how far it may move each value away from the profile, as factors for the easiest and the hardest end
+const ADAPTIVE_BOUNDS = {
+    laserSpawnInterval: { easier: 1.4, harder: 0.7 },
+    maxSpeed: { easier: 0.85, harder: 1.15 },
+};
+// Stress added by a near-miss, and per tick spent airborne or above the screen
+const NEAR_MISS_STRESS = 0.3;
+const AIRBORNE_STRESS = 0.002;
+const OFF_SCREEN_STRESS = 0.006;
+// Stress halves about every 10 seconds
+const STRESS_DECAY = 0.99885;
+// Share of the distance to the target adjustment covered per tick (about 8 seconds to settle)
+const ADJUSTMENT_RATE = 0.002;
+// Runs shorter than this (seconds) pull the start towards easier, longer ones towards harder
+const REFERENCE_RUN_SECONDS = 60;
+// How many recent deaths count
+export const ADAPTIVE_RECENT_DEATHS = 5;
+
 /**
- * Returns the current dynamic difficulty settings.
- * @returns {{currentMaxSpeed: number, currentManualRotationSpeed: number, currentAutoRotationSpeed: number, laserSpeed: number, laserWidth: number, laserHeight: number, laserSpawnInterval: number}}
+ * Optional adaptive mode on top of a DifficultyTracker: nudges the laser spawn interval and the max speed
+ * towards easier while the player is under pressure (near-misses, airborne, above the screen, recent early deaths)
+ * and towards harder while play is calm, within ADAPTIVE_BOUNDS. It only sees what happens in the session,
+ * so a run with the same recentDeaths replays identically.
+ * @param {{recentDeaths: number[]}} settings - Seconds survived in the player's recent runs, oldest first.
  */
-export function getDifficultyState() {
-    return {
-        currentMaxSpeed: currentMaxSpeed,
-        currentManualRotationSpeed: currentManualRotationSpeed,
-        currentAutoRotationSpeed: currentAutoRotationSpeed,
-        // NEW: Export laser constants and the dynamic spawn interval
-        laserSpeed: BASE_LASER_SPEED,
-        laserWidth: BASE_LASER_WIDTH,
-        laserHeight: BASE_LASER_HEIGHT,
-        laserSpawnInterval: currentLaserSpawnInterval,
-    };
-}
\ No newline at end of file
+export function AdaptiveDifficulty(settings) {
+    const recent = settings.recentDeaths.slice(-ADAPTIVE_RECENT_DEATHS);
+    const averageRun = recent.length ? recent.reduce((sum, seconds) => sum + seconds, 0) / recent.length : REFERENCE_RUN_SECONDS;
+    // -0.5 .. 0.5, negative when the player keeps dying early
+    const deathBias = Math.max(-1, Math.min(1, (averageRun - REFERENCE_RUN_SECONDS) / REFERENCE_RUN_SECONDS)) * 0.5;
+
+    let stress = 0;
+    // -1 (easiest) .. 1 (hardest), starts where the recent deaths point
+    let adjustment = deathBias;
+
+    /**
+     * Feeds one tick of player performance.
+     * @param {{nearMisses: number, airborne: boolean, offScreen: boolean}} tick - What happened this tick.
+     */
+    function observe({ nearMisses, airborne, offScreen }) {
+        stress = stress * STRESS_DECAY + nearMisses * NEAR_MISS_STRESS
+            + (airborne ? AIRBORNE_STRESS : 0) + (offScreen ? OFF_SCREEN_STRESS : 0);
+        const target = Math.max(-1, Math.min(1, deathBias + 0.5 - stress));
+        adjustment += (target - adjustment) * ADJUSTMENT_RATE;
+    }
+
+    /**
+     * @param {{easier: number, harder: number}} bounds - Factors at the ends of the range.
+     * @returns {number} Factor for the current adjustment.
+     */
+    const factor = ({ easier, harder }) => 1 + (adjustment < 0 ? (1 - easier) * adjustment : (harder - 1) * adjustment);
+
+    /**
+     * Applies the current adjustment to a difficulty state.
+     * @param {Object} state - DifficultyTracker.getState().
+     * @returns {Object} A copy with the nudged laserSpawnInterval and currentMaxSpeed.
+     */
+    function apply(state) {
+        return {
+            ...state,
+            laserSpawnInterval: state.laserSpawnInterval * factor(ADAPTIVE_BOUNDS.laserSpawnInterval),
+            currentMaxSpeed: state.currentMaxSpeed * factor(ADAPTIVE_BOUNDS.maxSpeed),
+        };
+    }
+
+    return { observe, apply, getAdjustment: () => adjustment };
+}
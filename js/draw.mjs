@@ -18,6 +18,24 @@ const C_DARK_ACCENT = COLORS.C0_DARK_ACCENT;
 const C_MAIN_STRUCT = COLORS.C1_DARK_TEAL;
 const C_HAZARD_VIVID = COLORS.C5_VIVID_ORANGE;
 
+// Base color of each obstacle material (see materials.mjs)
+const MATERIAL_COLORS = {
+    default: C_MAIN_STRUCT,
+    ice: COLORS.C3_PALE_TEAL,
+    rubber: COLORS.C9_DEEP_RED,
+    sticky: COLORS.C6_DARKER_ORANGE,
+    conveyor: COLORS.C2_MEDIUM_TEAL,
+};
+
+// Color and icon letter of each power-up effect (see pickups.mjs)
+const EFFECT_STYLES = {
+    shield: { color: COLORS.C2_MEDIUM_TEAL, glyph: "S" },
+    slowMotion: { color: COLORS.C3_PALE_TEAL, glyph: "T" },
+    doubleJump: { color: COLORS.C4_PALE_BEIGE, glyph: "J" },
+    magnet: { color: COLORS.C7_DARK_RED_ORANGE, glyph: "M" },
+    shrink: { color: COLORS.C6_DARKER_ORANGE, glyph: "s" },
+};
+
 /**
  * Defines the drawing function for a single ball design at (0, 0).
  * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
@@ -27,7 +45,8 @@ const C_HAZARD_VIVID = COLORS.C5_VIVID_ORANGE;
 function drawBallDesign(ctx, r, colors) {
     // Ball Body
     circle(ctx, 0, 0, r, colors.body); 
-    ctx.rotate(3.14);
+    // The face details below are laid out upside down, turn them face up
+    ctx.rotate(Math.PI);
     
     // Eyes (White part / Base detail)
     circle(ctx, -0.25 * r, 0.3 * r, r / 5, colors.eyeBase);
@@ -115,8 +134,9 @@ export function getBallDesigns() {
  * @param {number} y - Ball's y-coordinate.
  * @param {number} r - Ball's radius.
  * @param {number} designId - The ID of the ball design to use.
+ * @param {number} [angle=0] - Rotation the ball has rolled by in radians, the design turns with it.
  */
-export function drawBall(ctx, x, y, r, designId) {
+export function drawBall(ctx, x, y, r, designId, angle = 0) {
     // Clamp designId to the available range
     const id = Math.min(Math.max(0, designId), BALL_DESIGNS.length - 1);
     const design = BALL_DESIGNS[id];
@@ -126,6 +146,7 @@ export function drawBall(ctx, x, y, r, designId) {
     
     // draw ball (translate to ball center then draw at origin)
     ctx.translate(x, y);
+    ctx.rotate(angle);
     
     drawBallDesign(ctx, r, design.colors);
     
@@ -171,20 +192,190 @@ export function drawDesignPreview(ctx, designId) {
  * @param {number} rx2 - x-coordinate of rotated endpoint 2.
  * @param {number} ry2 - y-coordinate of rotated endpoint 2.
  * @param {number} lineThickness - Thickness of the line.
+ * @param {string} [material="default"] - Surface material, each one has its own look so players can read the slope.
  */
-export function drawPlatform(ctx, rx1, ry1, rx2, ry2, lineThickness) {
+export function drawPlatform(ctx, rx1, ry1, rx2, ry2, lineThickness, material = "default") {
     // draw rotated sloped thick line around its center
-    line(ctx, rx1, ry1, rx2, ry2, C_MAIN_STRUCT, lineThickness);
+    line(ctx, rx1, ry1, rx2, ry2, MATERIAL_COLORS[material] || C_MAIN_STRUCT, lineThickness);
+
+    const len = Math.hypot(rx2 - rx1, ry2 - ry1);
+    if (len === 0) return;
+    const ux = (rx2 - rx1) / len, uy = (ry2 - ry1) / len;
+    // Spacing of the repeated details along the platform
+    const spacing = lineThickness * 3;
+
+    ctx.save();
+    if (material === "ice") {
+        // glossy highlight along the surface
+        ctx.globalAlpha = 0.7;
+        line(ctx, rx1, ry1, rx2, ry2, "#ffffff", lineThickness * 0.25);
+    } else if (material === "rubber") {
+        // stripes like a tire tread
+        ctx.setLineDash([lineThickness * 0.6, lineThickness * 0.6]);
+        line(ctx, rx1, ry1, rx2, ry2, COLORS.C8_DARK_RED, lineThickness);
+    } else if (material === "sticky") {
+        // blobs of glue
+        for (let d = spacing / 2; d < len; d += spacing) {
+            circle(ctx, rx1 + ux * d, ry1 + uy * d, lineThickness * 0.2, C_DARK_ACCENT);
+        }
+    } else if (material === "conveyor") {
+        // chevrons pointing the way the top surface moves (to the right on top, see materials.mjs)
+        const dir = ux >= 0 ? 1 : -1;
+        const size = lineThickness * 0.35;
+        for (let d = spacing / 2; d < len; d += spacing) {
+            const cx = rx1 + ux * d, cy = ry1 + uy * d;
+            const fx = ux * dir * size, fy = uy * dir * size;
+            ctx.beginPath();
+            ctx.moveTo(cx - fx - fy, cy - fy + fx);
+            ctx.lineTo(cx + fx, cy + fy);
+            ctx.lineTo(cx - fx + fy, cy - fy - fx);
+            ctx.lineWidth = Math.max(1, lineThickness * 0.15);
+            ctx.strokeStyle = C_HAZARD_VIVID;
+            ctx.stroke();
+        }
+    }
+    ctx.restore();
+}
+
+/**
+ * Draws a static rectangular obstacle from the level.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {{x: number, y: number, w: number, h: number, material?: string}} rect - Rect obstacle.
+ */
+export function drawObstacleRect(ctx, rect) {
+    ctx.save();
+    ctx.fillStyle = MATERIAL_COLORS[rect.material] || C_MAIN_STRUCT;
+    ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+    ctx.restore();
+}
+
+/**
+ * Draws a static circle, polygon or arc obstacle, colored by its material.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {Object} shape - Obstacle in pixels, see buildLevel().shapes.
+ */
+export function drawObstacleShape(ctx, shape) {
+    const color = MATERIAL_COLORS[shape.material] || C_MAIN_STRUCT;
+    ctx.save();
+    if (shape.type === "circle") {
+        circle(ctx, shape.x, shape.y, shape.radius, color);
+    } else if (shape.type === "polygon") {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        shape.points.forEach((pt, i) => i === 0 ? ctx.moveTo(pt.x, pt.y) : ctx.lineTo(pt.x, pt.y));
+        ctx.closePath();
+        ctx.fill();
+    } else if (shape.type === "arc") {
+        // round caps match the bent capsule the ball collides with
+        ctx.strokeStyle = color;
+        ctx.lineWidth = shape.thickness;
+        ctx.lineCap = "round";
+        ctx.beginPath();
+        ctx.arc(shape.cx, shape.cy, shape.radius, shape.startAngle, shape.endAngle);
+        ctx.stroke();
+    }
+    ctx.restore();
+}
+
+/**
+ * Draws a force field zone (see forces.mjs) as a faint area with moving markers that show what it does.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {Object} zone - Zone in pixels: wind {x, y, w, h, fx, fy}, well {x, y, radius, strength} or gravity {x, y, w, h, scale}.
+ * @param {number} time - Simulated time in ms, drives the animation.
+ */
+export function drawForceField(ctx, zone, time) {
+    ctx.save();
+    if (zone.type === "well") {
+        ctx.globalAlpha = 0.1;
+        circle(ctx, zone.x, zone.y, zone.radius, COLORS.C2_MEDIUM_TEAL);
+        // rings flowing inwards for a pull, outwards for a push
+        ctx.globalAlpha = 0.4;
+        ctx.strokeStyle = COLORS.C2_MEDIUM_TEAL;
+        ctx.lineWidth = 2;
+        const phase = (time / 1500) % 1;
+        for (let k = 0; k < 3; k++) {
+            const t = (k / 3 + phase) % 1;
+            ctx.beginPath();
+            ctx.arc(zone.x, zone.y, zone.radius * (zone.strength >= 0 ? 1 - t : t), 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    } else {
+        ctx.beginPath();
+        ctx.rect(zone.x, zone.y, zone.w, zone.h);
+        ctx.clip();
+        ctx.globalAlpha = 0.1;
+        ctx.fillStyle = zone.type === "wind" ? COLORS.C3_PALE_TEAL : COLORS.C4_PALE_BEIGE;
+        ctx.fillRect(zone.x, zone.y, zone.w, zone.h);
+        ctx.globalAlpha = 0.45;
+        const spacing = 60;
+        if (zone.type === "wind") {
+            // streaks drifting with the wind
+            const len = Math.hypot(zone.fx, zone.fy) || 1;
+            const ux = zone.fx / len, uy = zone.fy / len;
+            const drift = (time * 0.15) % spacing;
+            for (let row = -1; row * spacing < zone.h + spacing; row++) {
+                for (let col = -1; col * spacing < zone.w + spacing; col++) {
+                    // stagger the rows so the streaks don't form a grid
+                    const sx = zone.x + col * spacing + (row % 2) * spacing / 2 + ux * drift;
+                    const sy = zone.y + row * spacing + uy * drift;
+                    line(ctx, sx, sy, sx + ux * 18, sy + uy * 18, COLORS.C3_PALE_TEAL, 2);
+                }
+            }
+        } else {
+            // arrows pointing the way gravity pulls, fewer of them when it is weak
+            ctx.fillStyle = COLORS.C4_PALE_BEIGE;
+            ctx.font = "20px sans-serif";
+            ctx.textAlign = "center";
+            ctx.textBaseline = "middle";
+            const arrow = zone.scale >= 0 ? "\u2193" : "\u2191";
+            const step = spacing * Math.max(1, 1 / Math.max(0.25, Math.abs(zone.scale)));
+            const drift = ((time * 0.03 * Math.sign(zone.scale)) % step + step) % step;
+            for (let gx = zone.x + step / 2; gx < zone.x + zone.w; gx += step) {
+                for (let gy = zone.y - step + drift; gy < zone.y + zone.h + step; gy += step) {
+                    ctx.fillText(arrow, gx, gy);
+                }
+            }
+        }
+    }
+    ctx.restore();
+}
+
+/**
+ * Draws the label of the active gravity/wind event (see difficulty.mjs) at the top center, plus wind streaks over the whole screen.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {{type: string, windX: number, remaining: number}} event - The active event.
+ * @param {number} time - Simulated time in ms.
+ */
+export function drawFieldEvent(ctx, event, time) {
+    const { width, height } = ctx.canvas;
+    if (event.windX !== 0) {
+        drawForceField(ctx, { type: "wind", x: 0, y: 0, w: width, h: height, fx: event.windX, fy: 0 }, time);
+    }
+    const labels = {
+        lowGravity: "LOW GRAVITY",
+        flipGravity: "GRAVITY FLIP",
+        wind: event.windX > 0 ? "WIND \u2192" : "\u2190 WIND",
+    };
+    const fontSize = Math.max(16, width * 0.03);
+    ctx.save();
+    ctx.fillStyle = C_HAZARD_VIVID;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    ctx.font = `bold ${fontSize}px sans-serif`;
+    ctx.fillText(`${labels[event.type] || event.type} ${Math.ceil(event.remaining)}s`, width / 2, height * 0.02);
+    ctx.restore();
 }
 
 /**
  * Draws the current score and high score in the top right.
  * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
  * @param {number} cnvWidth - Canvas width.
- * @param {{getScore: function(): number}} scoreTracker - ScoreTracker instance.
+ * @param {number} score - The current score.
  * @param {number} highScore - The high score value.
+ * @param {boolean} [adaptive=false] - Whether highScore is the adaptive mode's.
+ * @param {number} [multiplier=1] - Current combo multiplier, shown after the score while above 1.
  */
-export function drawScore(ctx, cnvWidth, scoreTracker, highScore) {
+export function drawScore(ctx, cnvWidth, score, highScore, adaptive = false, multiplier = 1) {
     // Score drawing logic is clean and relative to cnvWidth (Responsive)
     ctx.fillStyle = C_DARK_ACCENT; // Use dark accent color for text
     ctx.textAlign = "right";
@@ -196,16 +387,100 @@ export function drawScore(ctx, cnvWidth, scoreTracker, highScore) {
 
     // Draw Current Score
     ctx.font = `bold ${fontSize}px sans-serif`; // Use dynamic size
-    const scoreText = "Score: " + scoreTracker.getScore();
+    const scoreText = "Score: " + score + (multiplier > 1 ? `  x${multiplier.toFixed(1)}` : "");
     ctx.fillText(scoreText, cnvWidth - padding, padding);
 
     // Draw High Score
     ctx.font = `${fontSize * 0.75}px sans-serif`; // Slightly smaller font
-    const highScoreText = "High Score: " + highScore;
+    // Adaptive scores live on their own board, say which one is shown
+    const highScoreText = (adaptive ? "Adaptive High Score: " : "High Score: ") + highScore;
     ctx.fillText(highScoreText, cnvWidth - padding, padding + fontSize + 5);
 }
 
 
+/**
+ * Draws the notification of an unlocked achievement at the top center, fading in and out.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {number} cnvWidth - Canvas width.
+ * @param {string} name - Name of the achievement.
+ * @param {string} description - What it was unlocked for.
+ * @param {number} progress - How far the toast is through its lifetime (0..1).
+ */
+export function drawAchievementToast(ctx, cnvWidth, name, description, progress) {
+    const padding = cnvWidth * 0.02;
+    // Same font size as drawScore
+    const fontSize = Math.max(16, cnvWidth * 0.035);
+    ctx.save();
+    ctx.font = `${fontSize * 0.6}px sans-serif`;
+    const width = Math.max(ctx.measureText(description).width, fontSize * 9) + padding * 2;
+    const height = fontSize * 1.6 + padding;
+    const left = (cnvWidth - width) / 2;
+    ctx.globalAlpha = Math.min(1, progress * 10, (1 - progress) * 5);
+    ctx.fillStyle = C_DARK_ACCENT;
+    ctx.fillRect(left, padding, width, height);
+    ctx.strokeStyle = C_HAZARD_VIVID;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(left, padding, width, height);
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    ctx.fillStyle = C_HAZARD_VIVID;
+    ctx.font = `bold ${fontSize * 0.75}px sans-serif`;
+    ctx.fillText(`Achievement: ${name}`, cnvWidth / 2, padding * 1.5);
+    ctx.fillStyle = COLORS.C3_PALE_TEAL;
+    ctx.font = `${fontSize * 0.6}px sans-serif`;
+    ctx.fillText(description, cnvWidth / 2, padding * 1.5 + fontSize * 0.9);
+    ctx.restore();
+}
+
+/**
+ * Draws the floating "+points" popups of recent bonuses: they rise and fade out over their lifetime.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {Array<{x: number, y: number, points: number, age: number}>} popups - Popups (GameSession state).
+ * @param {number} lifetime - How long a popup lives in ms (POPUP_MS).
+ * @param {number} fontSize - Font size in pixels.
+ */
+export function drawScorePopups(ctx, popups, lifetime, fontSize) {
+    ctx.save();
+    ctx.textAlign = "center";
+    ctx.textBaseline = "bottom";
+    ctx.font = `bold ${fontSize}px sans-serif`;
+    popups.forEach(popup => {
+        const progress = Math.min(1, popup.age / lifetime);
+        ctx.globalAlpha = 1 - progress;
+        ctx.fillStyle = C_HAZARD_VIVID;
+        ctx.fillText(`+${popup.points}`, popup.x, popup.y - progress * fontSize * 2);
+    });
+    ctx.restore();
+}
+
+/**
+ * Draws the active power-ups below the score in the top right: name, seconds left and a shrinking bar.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {number} cnvWidth - Canvas width.
+ * @param {Array<{type: string, label: string, remaining: number, fraction: number}>} effects - Active effects (GameSession state).
+ */
+export function drawEffectTimers(ctx, cnvWidth, effects) {
+    const padding = cnvWidth * 0.02;
+    // Same font sizes as drawScore, the timers start below its two lines
+    const fontSize = Math.max(16, cnvWidth * 0.035);
+    const lineHeight = fontSize * 0.75 + 8;
+    const barWidth = fontSize * 4;
+    let top = padding + fontSize * 1.75 + 15;
+    ctx.save();
+    ctx.textAlign = "right";
+    ctx.textBaseline = "top";
+    ctx.font = `${fontSize * 0.6}px sans-serif`;
+    effects.forEach(effect => {
+        const color = EFFECT_STYLES[effect.type] ? EFFECT_STYLES[effect.type].color : C_MAIN_STRUCT;
+        ctx.fillStyle = C_DARK_ACCENT;
+        ctx.fillText(`${effect.label} ${Math.ceil(effect.remaining)}s`, cnvWidth - padding - barWidth - 6, top);
+        ctx.fillStyle = color;
+        ctx.fillRect(cnvWidth - padding - barWidth * effect.fraction, top + 2, barWidth * effect.fraction, fontSize * 0.45);
+        top += lineHeight;
+    });
+    ctx.restore();
+}
+
 /**
  * Draws an arrow at the top of the screen pointing down to the off-screen ball.
  * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
@@ -241,4 +516,173 @@ export function drawLaser(ctx, laser) {
     // Draw a rectangle for the laser
     ctx.fillRect(laser.x, laser.y, laser.width, laser.height);
     ctx.restore();
-}
\ No newline at end of file
+}
+
+/**
+ * Draws a vertical falling beam.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {{x: number, y: number, width: number, height: number}} beam - Beam hazard.
+ */
+export function drawBeam(ctx, beam) {
+    ctx.save();
+    ctx.fillStyle = COLORS.C8_DARK_RED;
+    ctx.fillRect(beam.x, beam.y, beam.width, beam.height);
+    // Bright leading edge so the falling direction reads at a glance
+    ctx.fillStyle = C_HAZARD_VIVID;
+    ctx.fillRect(beam.x, beam.y + beam.height - beam.width, beam.width, beam.width);
+    ctx.restore();
+}
+
+/**
+ * Draws a sweeping beam rotating around its pivot.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {{pivotX: number, pivotY: number, angle: number, length: number, thickness: number}} sweeper - Sweeper hazard.
+ */
+export function drawSweeper(ctx, sweeper) {
+    const endX = sweeper.pivotX + Math.cos(sweeper.angle) * sweeper.length;
+    const endY = sweeper.pivotY + Math.sin(sweeper.angle) * sweeper.length;
+    ctx.save();
+    ctx.lineCap = "round";
+    line(ctx, sweeper.pivotX, sweeper.pivotY, endX, endY, COLORS.C9_DEEP_RED, sweeper.thickness);
+    circle(ctx, sweeper.pivotX, sweeper.pivotY, sweeper.thickness, C_HAZARD_VIVID);
+    ctx.restore();
+}
+
+/**
+ * Draws a telegraphed laser: a faint dashed guide while warning, a full-width bar once it fires.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {{y: number, width: number, height: number, firing: boolean}} laser - Telegraph hazard.
+ */
+export function drawTelegraphLaser(ctx, laser) {
+    ctx.save();
+    if (laser.firing) {
+        ctx.fillStyle = COLORS.C9_DEEP_RED;
+        ctx.fillRect(0, laser.y, laser.width, laser.height);
+    } else {
+        ctx.globalAlpha = 0.6;
+        ctx.setLineDash([laser.height, laser.height]);
+        line(ctx, 0, laser.y + laser.height / 2, laser.width, laser.y + laser.height / 2, C_HAZARD_VIVID, Math.max(1, laser.height / 4));
+    }
+    ctx.restore();
+}
+
+/**
+ * Draws a homing orb.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {{x: number, y: number, radius: number}} orb - Orb hazard.
+ */
+export function drawOrb(ctx, orb) {
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    circle(ctx, orb.x, orb.y, orb.radius * 1.5, C_HAZARD_VIVID);
+    ctx.globalAlpha = 1;
+    circle(ctx, orb.x, orb.y, orb.radius, COLORS.C8_DARK_RED);
+    ctx.restore();
+}
+
+/**
+ * Draws the frost event: a cold rim around the playfield that fades in and out while the platforms are iced.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {{width: number, height: number, age: number, duration: number}} frost - Frost hazard.
+ */
+export function drawFrost(ctx, frost) {
+    const fade = Math.min(1, frost.age / 20, (frost.duration - frost.age) / 20);
+    const rim = Math.min(frost.width, frost.height) * 0.03;
+    ctx.save();
+    ctx.globalAlpha = 0.5 * Math.max(0, fade);
+    ctx.strokeStyle = COLORS.C3_PALE_TEAL;
+    ctx.lineWidth = rim;
+    ctx.strokeRect(rim / 2, rim / 2, frost.width - rim, frost.height - rim);
+    ctx.restore();
+}
+
+/**
+ * Draws a "REPLAY" badge in the top left while a recorded run is being played back.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {number} cnvWidth - Canvas width.
+ */
+export function drawReplayBadge(ctx, cnvWidth) {
+    ctx.save();
+    const padding = cnvWidth * 0.02;
+    const fontSize = Math.max(16, cnvWidth * 0.035);
+    ctx.fillStyle = C_HAZARD_VIVID;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    ctx.font = `bold ${fontSize}px sans-serif`;
+    ctx.fillText("REPLAY", padding, padding);
+    ctx.restore();
+}
+
+/**
+ * Draws the rules of the game mode at the top left: the remaining lives and the time left.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {number} cnvWidth - Canvas width.
+ * @param {number|null} lives - Remaining lives, null when unlimited (nothing is drawn then).
+ * @param {number|null} timeLeft - Seconds until the run ends, null without a time limit.
+ * @param {boolean} replay - Whether the REPLAY badge takes the first line.
+ */
+export function drawModeStatus(ctx, cnvWidth, lives, timeLeft, replay) {
+    const padding = cnvWidth * 0.02;
+    // Same font size as drawReplayBadge
+    const fontSize = Math.max(16, cnvWidth * 0.035);
+    let top = padding + (replay ? fontSize + 5 : 0);
+    ctx.save();
+    ctx.fillStyle = C_DARK_ACCENT;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    ctx.font = `bold ${fontSize * 0.75}px sans-serif`;
+    if (timeLeft !== null) {
+        // The last seconds are counted down in the hazard color
+        if (timeLeft <= 10) ctx.fillStyle = C_HAZARD_VIVID;
+        ctx.fillText(`Time: ${Math.ceil(timeLeft)}s`, padding, top);
+        ctx.fillStyle = C_DARK_ACCENT;
+        top += fontSize * 0.75 + 5;
+    }
+    if (lives !== null) {
+        ctx.fillText(`Lives: ${lives}`, padding, top);
+    }
+    ctx.restore();
+}
+
+/**
+ * Draws the shield power-up as a pulsing ring around the ball.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {number} x - Ball's x-coordinate.
+ * @param {number} y - Ball's y-coordinate.
+ * @param {number} r - Ball's radius.
+ * @param {number} time - Simulated time in ms, drives the pulse.
+ */
+export function drawShield(ctx, x, y, r, time) {
+    ctx.save();
+    ctx.globalAlpha = 0.6 + 0.2 * Math.sin(time / 150);
+    ctx.strokeStyle = EFFECT_STYLES.shield.color;
+    ctx.lineWidth = Math.max(2, r * 0.15);
+    ctx.beginPath();
+    ctx.arc(x, y, r * 1.25, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Draws a power-up pickup: a glowing disc with the effect's letter, blinking shortly before it vanishes.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {{x: number, y: number, radius: number, effect: string, age: number, lifetime: number}} pickup - Pickup hazard.
+ */
+export function drawPickup(ctx, pickup) {
+    const style = EFFECT_STYLES[pickup.effect] || { color: C_MAIN_STRUCT, glyph: "?" };
+    const left = pickup.lifetime - pickup.age;
+    if (left < 120 && Math.floor(left / 10) % 2 === 0) return;
+    // Gentle bobbing so it reads as collectible, not as an obstacle
+    const y = pickup.y + Math.sin(pickup.age * 0.08) * pickup.radius * 0.3;
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    circle(ctx, pickup.x, y, pickup.radius * 1.4, style.color);
+    ctx.globalAlpha = 1;
+    circle(ctx, pickup.x, y, pickup.radius, style.color);
+    ctx.fillStyle = C_DARK_ACCENT;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.font = `bold ${pickup.radius * 1.2}px sans-serif`;
+    ctx.fillText(style.glyph, pickup.x, y);
+    ctx.restore();
+}
@@ -0,0 +1,107 @@
+/**
+ * Gameplay events and the fields of their payloads. Only these can be emitted or subscribed to.
+ */
+const EVENT_TYPES = {
+    // Game
+    runStart: ["seed", "mode", "difficulty", "adaptive", "replay"], // a run (live or replay) starts
+    tick: ["state"], // after every simulated tick, state is GameSession.getState()
+    // Hazard payloads carry a copy of the hazard, its fields depend on the type (see hazards.mjs)
+    hazardSpawned: ["type", "hazard"], // a hazard of any type appeared, pickups excluded
+    laserSpawned: ["type", "hazard"], // a hazard that can hit the ball appeared (every hazardSpawned but platform coatings)
+    pickupSpawned: ["effect", "pickup"],
+    nearMiss: ["type", "hazard"], // a hazard passed close to the ball and left without hitting it
+    pickup: ["effect"], // a power-up was collected
+    shieldBreak: ["type", "hazard"], // a shield absorbed the hazard
+    bonus: ["category", "points"],
+    lifeLost: ["lives", "cause"],
+    gameOver: ["score", "cause", "adaptive", "breakdown"],
+    achievementUnlocked: ["id", "name", "description"],
+    designChanged: ["designId"],
+    // Physics
+    jump: ["airJump"], // airJump is the double jump power-up's extra jump
+    landed: ["airTicks", "impactSpeed"], // touched down after airTicks ticks, impactSpeed along the contact normal
+    // Input
+    input: ["rotation", "jump"], // the input of a tick differs from the one before
+};
+
+// Fired every tick, the debug log leaves them out unless asked for
+const FREQUENT_EVENTS = ["tick"];
+
+/**
+ * @returns {string[]} The names of all event types.
+ */
+export function getEventTypes() {
+    return Object.keys(EVENT_TYPES);
+}
+
+/**
+ * Typed publish/subscribe between the session, main.mjs and anything that wants to react to the game
+ * (audio, effects, achievements, stats, tests), without them knowing about each other.
+ * @param {{debug?: boolean|'verbose'}} [options] - debug logs every event with its payload to the console
+ * and checks payloads for missing fields, 'verbose' also logs the events fired every tick.
+ */
+export function EventBus(options = {}) {
+    const listeners = {};
+    let debug = options.debug || false;
+
+    /**
+     * @throws {Error} If there is no event of that type.
+     */
+    function checkType(type) {
+        if (!EVENT_TYPES[type]) throw new Error(`Unknown event type: ${type}`);
+    }
+
+    /**
+     * Subscribes to an event.
+     * @param {string} type - Event type, see EVENT_TYPES.
+     * @param {function(Object): void} listener - Called with the payload.
+     * @returns {function(): void} Unsubscribes the listener again.
+     * @throws {Error} If there is no event of that type.
+     */
+    function on(type, listener) {
+        checkType(type);
+        (listeners[type] = listeners[type] || []).push(listener);
+        return () => off(type, listener);
+    }
+
+    /**
+     * Unsubscribes a listener added with on().
+     * @param {string} type - Event type.
+     * @param {function(Object): void} listener - The listener to remove.
+     */
+    function off(type, listener) {
+        listeners[type] = (listeners[type] || []).filter(l => l !== listener);
+    }
+
+    /**
+     * Calls the listeners of an event in the order they subscribed.
+     * A listener that throws is logged and skipped, it never stops the others or the game loop.
+     * @param {string} type - Event type, see EVENT_TYPES.
+     * @param {Object} [payload] - The event's fields.
+     * @throws {Error} If there is no event of that type.
+     */
+    function emit(type, payload = {}) {
+        checkType(type);
+        if (debug) {
+            const missing = EVENT_TYPES[type].filter(field => !(field in payload));
+            if (missing.length > 0) console.warn(`Event ${type} is missing ${missing.join(", ")}`, payload);
+            if (debug === 'verbose' || !FREQUENT_EVENTS.includes(type)) console.debug(`[event] ${type}`, payload);
+        }
+        (listeners[type] || []).slice().forEach(listener => {
+            try {
+                listener(payload);
+            } catch (e) {
+                console.error(`Listener of ${type} failed.`, e);
+            }
+        });
+    }
+
+    /**
+     * @param {boolean|'verbose'} enabled - Turns the debug log on or off (see EventBus options).
+     */
+    const setDebug = (enabled) => {
+        debug = enabled;
+    };
+
+    return { on, off, emit, setDebug };
+}
@@ -0,0 +1,75 @@
+/**
+ * Force fields: zones that push, pull or change gravity for the ball while it is inside them.
+ * Level format (normalized like the rest of the level, see level.mjs: x and w by width, y, h and radius by height):
+ *   { "type": "wind", "x": 0, "y": 0.2, "w": 0.3, "h": 0.4, "fx": 0.05, "fy": 0 }  // constant acceleration
+ *   { "type": "well", "x": 0.5, "y": 0.2, "radius": 0.15, "strength": 0.15 }       // pull towards the center, negative pushes away
+ *   { "type": "gravity", "x": 0.6, "y": 0, "w": 0.2, "h": 0.5, "scale": 0.3 }      // multiplies gravity, negative flips it
+ * Accelerations are in pixels per tick² at scale 1 (for comparison: gravity is 0.2).
+ */
+export const FIELD_TYPES = ["wind", "well", "gravity"];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Checks the force fields of a level.
+ * @param {Array<Object>} fields - Parsed level fields.
+ * @throws {Error} Describing the first problem found.
+ */
+export function validateFields(fields) {
+    if (!Array.isArray(fields)) throw new Error("Level fields must be an array");
+    fields.forEach((field, i) => {
+        if (!FIELD_TYPES.includes(field.type)) throw new Error(`Field ${i} has unknown type "${field.type}"`);
+        const numbers = field.type === "well"
+            ? [field.x, field.y, field.radius, field.strength]
+            : [field.x, field.y, field.w, field.h, ...(field.type === "wind" ? [field.fx, field.fy] : [field.scale])];
+        if (!numbers.every(isNumber)) throw new Error(`Field ${i} (${field.type}) is missing a numeric value`);
+    });
+}
+
+/**
+ * Converts level fields into pixel zones.
+ * @param {Array<Object>} fields - Validated level fields.
+ * @param {number} width - Playfield width in pixels.
+ * @param {number} height - Playfield height in pixels.
+ * @returns {Array<Object>} Zones with pixel coordinates, the other values unchanged.
+ */
+export function buildFields(fields, width, height) {
+    return fields.map(field => field.type === "well"
+        ? { ...field, x: field.x * width, y: field.y * height, radius: field.radius * height }
+        : { ...field, x: field.x * width, y: field.y * height, w: field.w * width, h: field.h * height });
+}
+
+/**
+ * @returns {boolean} Whether the point lies inside a rectangular zone.
+ */
+const insideRect = (zone, x, y) => x >= zone.x && x <= zone.x + zone.w && y >= zone.y && y <= zone.y + zone.h;
+
+/**
+ * Sums up what the zones do to a ball at (x, y) this tick.
+ * @param {Array<Object>} zones - Zones from buildFields.
+ * @param {number} x - Ball x.
+ * @param {number} y - Ball y.
+ * @param {number} scale - Physics scale factor of the playfield.
+ * @returns {{ax: number, ay: number, gravityScale: number}} Extra acceleration and the factor for gravity.
+ */
+export function applyFields(zones, x, y, scale) {
+    let ax = 0, ay = 0, gravityScale = 1;
+    for (const zone of zones) {
+        if (zone.type === "wind" && insideRect(zone, x, y)) {
+            ax += zone.fx * scale;
+            ay += zone.fy * scale;
+        } else if (zone.type === "gravity" && insideRect(zone, x, y)) {
+            gravityScale *= zone.scale;
+        } else if (zone.type === "well") {
+            const dx = zone.x - x, dy = zone.y - y;
+            const dist = Math.hypot(dx, dy);
+            if (dist > 0 && dist < zone.radius) {
+                // strongest in the center, fading out towards the edge
+                const pull = zone.strength * scale * (1 - dist / zone.radius);
+                ax += dx / dist * pull;
+                ay += dy / dist * pull;
+            }
+        }
+    }
+    return { ax, ay, gravityScale };
+}
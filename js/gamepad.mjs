@@ -0,0 +1,83 @@
+// Default mapping, indices follow the "standard" gamepad layout.
+const DEFAULT_GAMEPAD_OPTIONS = {
+    stickAxis: 0,          // Left stick, horizontal axis
+    stickDeadZone: 0.2,    // Stick deflection ignored around the center (0..1)
+    leftTrigger: 6,        // LT / L2 rotates left
+    rightTrigger: 7,       // RT / R2 rotates right
+    triggerDeadZone: 0.1,  // Trigger travel ignored before it counts (0..1)
+    jumpButtons: [0],      // A / Cross
+};
+
+/**
+ * Removes the dead zone from an analog value and rescales the rest back to the full 0..1 range.
+ * @param {number} value - Raw analog value (-1..1).
+ * @param {number} deadZone - Magnitude to ignore (0..1).
+ * @returns {number} The adjusted value (-1..1).
+ */
+function applyDeadZone(value, deadZone) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadZone) return 0;
+    return Math.sign(value) * Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+}
+
+/**
+ * Manages gamepad input for rotation and jumping.
+ * The Gamepad API has no input events, so poll() has to be called once per frame before reading.
+ * @param {function(): string} getGameState - Function to retrieve the current game state from OverlayManager.
+ * @param {Partial<typeof DEFAULT_GAMEPAD_OPTIONS>} [options] - Dead zones and button mapping overrides.
+ * @returns {{
+ * poll: function(): void,
+ * getRotation: function(): number,
+ * getRotatingLeft: function(): boolean,
+ * getRotatingRight: function(): boolean,
+ * getJump: function(): boolean
+ * }} The interface for the main loop to read input state.
+ */
+export function GamepadInputManager(getGameState, options = {}) {
+    const config = { ...DEFAULT_GAMEPAD_OPTIONS, ...options };
+
+    // Analog rotation in -1 (full left) .. 1 (full right)
+    let rotation = 0;
+    let jump = false;
+
+    const buttonValue = (pad, index) => {
+        const button = pad.buttons[index];
+        if (!button) return 0;
+        return typeof button === 'object' ? button.value : button;
+    };
+    const buttonPressed = (pad, index) => {
+        const button = pad.buttons[index];
+        if (!button) return false;
+        return typeof button === 'object' ? button.pressed : button === 1.0;
+    };
+
+    /**
+     * Reads the current state of all connected gamepads. The strongest rotation across pads wins.
+     */
+    function poll() {
+        rotation = 0;
+        jump = false;
+
+        if (getGameState() !== 'playing' || !navigator.getGamepads) return;
+
+        for (const pad of navigator.getGamepads()) {
+            if (!pad || !pad.connected) continue;
+
+            const stick = applyDeadZone(pad.axes[config.stickAxis] || 0, config.stickDeadZone);
+            const triggers = applyDeadZone(buttonValue(pad, config.rightTrigger), config.triggerDeadZone)
+                - applyDeadZone(buttonValue(pad, config.leftTrigger), config.triggerDeadZone);
+            const padRotation = Math.abs(stick) >= Math.abs(triggers) ? stick : triggers;
+
+            if (Math.abs(padRotation) > Math.abs(rotation)) rotation = padRotation;
+            if (config.jumpButtons.some(index => buttonPressed(pad, index))) jump = true;
+        }
+    }
+
+    return {
+        poll,
+        getRotation: () => rotation,
+        getRotatingLeft: () => rotation < 0,
+        getRotatingRight: () => rotation > 0,
+        getJump: () => jump,
+    };
+}
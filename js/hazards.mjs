@@ -0,0 +1,188 @@
+import { circleOverlaps } from "./collision.mjs";
+import { drawLaser, drawBeam, drawSweeper, drawTelegraphLaser, drawOrb, drawFrost } from "./draw.mjs";
+
+/**
+ * Registry of hazard types. Each type owns its whole behavior:
+ * - spawn(context): creates a new hazard object (plain data, the session adds `id` and `type`)
+ * - update(hazard, context): advances it by one tick, returns false once it should be removed
+ * - collides(hazard, ball): true if it kills the ball
+ * - draw(ctx, hazard): renders it
+ * A hazard may also carry a platformMaterial (see materials.mjs): while it is active every platform has that surface.
+ * A definition with pickup: true is a collectible instead (see pickups.mjs): touching it collects it, it never kills.
+ * The context is { width, height, scaleFactor, rng, difficulty, ball, platforms, effects, timeScale } where difficulty is
+ * DifficultyTracker.getState(), ball is { x, y, r }, platforms are the current platform segments, effects the active
+ * power-ups (type -> ticks left) and timeScale how fast the world runs (below 1 in slow motion): update() advances
+ * by that share of a tick.
+ */
+const HAZARD_TYPES = new Map();
+
+/**
+ * Adds a hazard type to the registry (or replaces one with the same name).
+ * @param {string} type - Unique type name, referenced by difficulty.mjs unlocks.
+ * @param {{spawn: function(Object): Object, update: function(Object, Object): boolean, collides: function(Object, Object): boolean, draw: function(CanvasRenderingContext2D, Object): void, pickup?: boolean}} definition
+ */
+export function registerHazard(type, definition) {
+    HAZARD_TYPES.set(type, definition);
+}
+
+/**
+ * @param {string} type - A registered hazard type.
+ * @returns {Object} The hazard definition.
+ * @throws {Error} If the type was never registered.
+ */
+export function getHazardType(type) {
+    const definition = HAZARD_TYPES.get(type);
+    if (!definition) throw new Error(`Unknown hazard type: ${type}`);
+    return definition;
+}
+
+/**
+ * @returns {string[]} Names of the registered hazard types a level or difficulty profile can unlock (pickups spawn on their own).
+ */
+export function getHazardNames() {
+    return [...HAZARD_TYPES.keys()].filter(type => !HAZARD_TYPES.get(type).pickup);
+}
+
+// Horizontal laser flying straight across the screen (the original hazard).
+registerHazard("laser", {
+    spawn({ width, height, scaleFactor, rng, difficulty }) {
+        const laserWidth = difficulty.laserWidth * scaleFactor;
+        const laserHeight = difficulty.laserHeight * scaleFactor;
+        const direction = rng.chance(0.5) ? 1 : -1; // 1: L->R, -1: R->L
+        return {
+            x: direction === 1 ? -laserWidth : width,
+            // Spawn laser in the top 75% of the screen, away from the floor/platform center
+            y: rng.next() * (height * 0.75 - laserHeight) + 1,
+            width: laserWidth,
+            height: laserHeight,
+            speed: difficulty.laserSpeed * scaleFactor, // pixels per tick
+            direction,
+            color: null // Use default from draw.mjs
+        };
+    },
+    update(laser, { width, timeScale }) {
+        laser.x += laser.speed * laser.direction * timeScale;
+        // Remove once fully off-screen
+        return laser.direction === 1 ? laser.x < width : laser.x + laser.width > 0;
+    },
+    collides: (laser, ball) => circleOverlaps(ball, { type: "rect", x: laser.x, y: laser.y, w: laser.width, h: laser.height }),
+    draw: drawLaser,
+});
+
+// Vertical beam falling from the top at a random x.
+registerHazard("beam", {
+    spawn({ width, scaleFactor, rng, difficulty }) {
+        const beamWidth = difficulty.laserHeight * scaleFactor;
+        const beamHeight = difficulty.laserWidth * 2 * scaleFactor;
+        return {
+            x: rng.next() * (width - beamWidth),
+            y: -beamHeight,
+            width: beamWidth,
+            height: beamHeight,
+            speed: difficulty.laserSpeed * 0.8 * scaleFactor,
+        };
+    },
+    update(beam, { height, timeScale }) {
+        beam.y += beam.speed * timeScale;
+        return beam.y < height;
+    },
+    collides: (beam, ball) => circleOverlaps(ball, { type: "rect", x: beam.x, y: beam.y, w: beam.width, h: beam.height }),
+    draw: drawBeam,
+});
+
+// Beam anchored in a top corner that sweeps a quarter circle down into the playfield.
+const SWEEP_TICKS = 180;
+registerHazard("sweeper", {
+    spawn({ width, height, scaleFactor, rng, difficulty }) {
+        const fromLeft = rng.chance(0.5);
+        return {
+            pivotX: fromLeft ? 0 : width,
+            pivotY: 0,
+            // Left corner sweeps from pointing right (0) to down (PI/2), right corner from left (PI) to down
+            angle: fromLeft ? 0 : Math.PI,
+            angularSpeed: (fromLeft ? 1 : -1) * (Math.PI / 2) / SWEEP_TICKS,
+            length: Math.hypot(width, height) * 0.6,
+            thickness: difficulty.laserHeight * scaleFactor,
+            age: 0,
+        };
+    },
+    update(sweeper, { timeScale }) {
+        sweeper.angle += sweeper.angularSpeed * timeScale;
+        sweeper.age += timeScale;
+        return sweeper.age < SWEEP_TICKS;
+    },
+    collides(sweeper, ball) {
+        const endX = sweeper.pivotX + Math.cos(sweeper.angle) * sweeper.length;
+        const endY = sweeper.pivotY + Math.sin(sweeper.angle) * sweeper.length;
+        return circleOverlaps(ball, {
+            type: "segment", x1: sweeper.pivotX, y1: sweeper.pivotY, x2: endX, y2: endY, thickness: sweeper.thickness,
+        });
+    },
+    draw: drawSweeper,
+});
+
+// Full-width laser that shows a harmless warning line before it fires.
+const TELEGRAPH_WARNING_TICKS = 60;
+const TELEGRAPH_FIRE_TICKS = 24;
+registerHazard("telegraph", {
+    spawn({ width, height, scaleFactor, rng, difficulty }) {
+        const laserHeight = difficulty.laserHeight * 1.5 * scaleFactor;
+        return {
+            y: rng.next() * (height * 0.75 - laserHeight) + 1,
+            width,
+            height: laserHeight,
+            age: 0,
+            firing: false,
+        };
+    },
+    update(laser, { timeScale }) {
+        laser.age += timeScale;
+        laser.firing = laser.age >= TELEGRAPH_WARNING_TICKS;
+        return laser.age < TELEGRAPH_WARNING_TICKS + TELEGRAPH_FIRE_TICKS;
+    },
+    collides: (laser, ball) => laser.firing && circleOverlaps(ball, { type: "rect", x: 0, y: laser.y, w: laser.width, h: laser.height }),
+    draw: drawTelegraphLaser,
+});
+
+// Slow orb that steers towards the ball with a limited turn rate, then fizzles out.
+const ORB_LIFETIME_TICKS = 720;
+const ORB_MAX_TURN = 0.03; // radians per tick
+registerHazard("orb", {
+    spawn({ width, height, scaleFactor, rng, difficulty, ball }) {
+        const fromLeft = rng.chance(0.5);
+        const radius = difficulty.laserHeight * 1.5 * scaleFactor;
+        const x = fromLeft ? -radius : width + radius;
+        const y = rng.next() * height * 0.5;
+        return {
+            x, y, radius,
+            heading: Math.atan2(ball.y - y, ball.x - x),
+            speed: difficulty.laserSpeed * 0.4 * scaleFactor,
+            age: 0,
+        };
+    },
+    update(orb, { ball, timeScale }) {
+        // Turn towards the ball, but never faster than ORB_MAX_TURN so it can be outmaneuvered
+        const desired = Math.atan2(ball.y - orb.y, ball.x - orb.x);
+        const diff = Math.atan2(Math.sin(desired - orb.heading), Math.cos(desired - orb.heading));
+        const maxTurn = ORB_MAX_TURN * timeScale;
+        orb.heading += Math.max(-maxTurn, Math.min(maxTurn, diff));
+        orb.x += Math.cos(orb.heading) * orb.speed * timeScale;
+        orb.y += Math.sin(orb.heading) * orb.speed * timeScale;
+        orb.age += timeScale;
+        return orb.age < ORB_LIFETIME_TICKS;
+    },
+    collides: (orb, ball) => circleOverlaps(ball, { type: "circle", x: orb.x, y: orb.y, radius: orb.radius }),
+    draw: drawOrb,
+});
+
+// Harmless itself, but freezes every platform to ice for a few seconds.
+const FROST_TICKS = 240;
+registerHazard("frost", {
+    spawn: ({ width, height }) => ({ width, height, age: 0, duration: FROST_TICKS, platformMaterial: "ice" }),
+    update(frost, { timeScale }) {
+        frost.age += timeScale;
+        return frost.age < frost.duration;
+    },
+    collides: () => false,
+    draw: drawFrost,
+});
@@ -0,0 +1,64 @@
+import { hasMethods } from "./utils.mjs";
+
+// Methods every input source has to provide to be merged by InputManager.
+const INPUT_SOURCE_METHODS = ["getRotatingLeft", "getRotatingRight", "getJump"];
+
+/**
+ * Merges several input sources (touch, keyboard, pointer, gamepad, ...) into a single interface.
+ * An action is active when any of the sources reports it.
+ * Sources may optionally implement poll() (called once per frame) and getRotation() for analog input.
+ * @param {Array<{getRotatingLeft: function(): boolean, getRotatingRight: function(): boolean, getJump: function(): boolean, poll?: function(): void, getRotation?: function(): number}>} sources - The input sources to merge.
+ * @returns {{
+ * poll: function(): void,
+ * getRotation: function(): number,
+ * getRotatingLeft: function(): boolean,
+ * getRotatingRight: function(): boolean,
+ * getJump: function(): boolean
+ * }} The same interface as each individual source.
+ */
+export function InputManager(sources) {
+    sources.forEach(source => {
+        if (!hasMethods(source, INPUT_SOURCE_METHODS)) {
+            throw new Error(`Input source must implement ${INPUT_SOURCE_METHODS.join(", ")}`);
+        }
+    });
+
+    const any = (method) => sources.some(source => source[method]());
+
+    /**
+     * Polls the sources that cannot deliver input through events (e.g. the Gamepad API).
+     */
+    function poll() {
+        sources.forEach(source => {
+            if (hasMethods(source, ["poll"])) source.poll();
+        });
+    }
+
+    /**
+     * Returns the rotation input in -1 (full left) .. 1 (full right).
+     * Digital sources always rotate at full speed (left wins over right, as before);
+     * otherwise the strongest analog source is used.
+     * @returns {number} The rotation factor, 0 when there is no rotation input.
+     */
+    function getRotation() {
+        const digital = sources.filter(source => !hasMethods(source, ["getRotation"]));
+        if (digital.some(source => source.getRotatingLeft())) return -1;
+        if (digital.some(source => source.getRotatingRight())) return 1;
+
+        let rotation = 0;
+        sources.forEach(source => {
+            if (!hasMethods(source, ["getRotation"])) return;
+            const value = source.getRotation();
+            if (Math.abs(value) > Math.abs(rotation)) rotation = value;
+        });
+        return rotation;
+    }
+
+    return {
+        poll,
+        getRotation,
+        getRotatingLeft: () => any("getRotatingLeft"),
+        getRotatingRight: () => any("getRotatingRight"),
+        getJump: () => any("getJump"),
+    };
+}
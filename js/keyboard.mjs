@@ -0,0 +1,42 @@
+// Key codes (KeyboardEvent.code) mapped to game actions.
+const LEFT_KEYS = ["ArrowLeft", "KeyA"];
+const RIGHT_KEYS = ["ArrowRight", "KeyD"];
+const JUMP_KEYS = ["Space"];
+
+/**
+ * Manages keyboard input for rotation and jumping.
+ * Arrows or A/D rotate the platform, Space jumps.
+ * @param {function(): string} getGameState - Function to retrieve the current game state from OverlayManager.
+ * @returns {{
+ * getRotatingLeft: function(): boolean,
+ * getRotatingRight: function(): boolean,
+ * getJump: function(): boolean
+ * }} The interface for the main loop to read input state.
+ */
+export function KeyboardInputManager(getGameState) {
+    // Set of currently held key codes
+    const pressed = new Set();
+
+    const isGameKey = (code) => LEFT_KEYS.includes(code) || RIGHT_KEYS.includes(code) || JUMP_KEYS.includes(code);
+    const anyPressed = (codes) => getGameState() === 'playing' && codes.some(code => pressed.has(code));
+
+    window.addEventListener("keydown", (ev) => {
+        if (!isGameKey(ev.code)) return;
+        pressed.add(ev.code);
+        // Stop Space/arrows from scrolling the page or re-clicking a focused button while playing
+        if (getGameState() === 'playing') ev.preventDefault();
+    });
+
+    window.addEventListener("keyup", (ev) => {
+        pressed.delete(ev.code);
+    });
+
+    // Keys released while the window is unfocused never fire keyup, so drop everything
+    window.addEventListener("blur", () => pressed.clear());
+
+    return {
+        getRotatingLeft: () => anyPressed(LEFT_KEYS),
+        getRotatingRight: () => anyPressed(RIGHT_KEYS),
+        getJump: () => anyPressed(JUMP_KEYS),
+    };
+}
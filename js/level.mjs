@@ -0,0 +1,223 @@
+/**
+ * Level format (JSON). All positions and sizes are normalized: x by the playfield width, y and
+ * thickness by its height, so a level fits any screen.
+ * {
+ *   "name": "Classic",
+ *   "platforms": [{
+ *     "x1": 0.2, "y1": 0.6, "x2": 0.8, "y2": 0.4, // endpoints before any rotation
+ *     "thickness": 0.025,                        // optional, default 0.025
+ *     "pivot": { "x": 0.5, "y": 0.5 },           // optional, default is the midpoint
+ *     "minAngle": -0.8, "maxAngle": 0.8,         // optional rotation limits (radians from the start pose)
+ *     "input": "primary",                        // "primary" | "inverted" | "auto" | "fixed"
+ *     "material": "ice"                          // optional surface, see materials.mjs (default "default")
+ *   }],
+ *   "rects": [{ "x": 0.1, "y": 0.8, "w": 0.2, "h": 0.02, "material": "rubber" }], // optional static obstacles
+ *   "shapes": [                                  // optional static obstacles of other shapes, see collision.mjs
+ *     { "type": "circle", "x": 0.5, "y": 0.8, "radius": 0.03 },
+ *     { "type": "polygon", "points": [{ "x": 0.1, "y": 0.3 }, { "x": 0.2, "y": 0.3 }, { "x": 0.15, "y": 0.2 }] }, // convex
+ *     { "type": "arc", "cx": 0.5, "cy": 0.6, "radius": 0.2, "startAngle": 0, "endAngle": 3.14, "thickness": 0.02 }
+ *   ],                                           // radius and thickness are normalized by the height, all take a "material"
+ *   "fields": [{ "type": "wind", "x": 0, "y": 0, "w": 0.3, "h": 0.5, "fx": 0.05, "fy": 0 }], // optional, see forces.mjs
+ *   "spawn": { "x": 0.5, "y": 0.47 },            // point the ball rests on at the start
+ *   "hazards": { "laser": 0, "beam": 20 }        // optional: seconds at which hazard types unlock
+ * }
+ * Input bindings: "primary" follows the rotation input (auto-rotating when idle), "inverted" rotates
+ * the opposite way, "auto" always auto-rotates and ignores input, "fixed" never moves.
+ */
+
+import { getMaterialNames } from "./materials.mjs";
+import { validateFields, buildFields } from "./forces.mjs";
+import { getHazardNames } from "./hazards.mjs";
+
+const PLATFORM_INPUTS = ["primary", "inverted", "auto", "fixed"];
+const SHAPE_TYPES = ["circle", "polygon", "arc"];
+const DEFAULT_THICKNESS = 0.025;
+// Platforms never get thinner than this many pixels, whatever the screen size
+const MIN_THICKNESS_PX = 6;
+
+// The original single-slope layout, used when no other level is requested.
+export const CLASSIC_LEVEL = {
+    name: "Classic",
+    platforms: [
+        { x1: 0.2, y1: 0.6, x2: 0.8, y2: 0.4, input: "primary" },
+    ],
+    rects: [],
+    spawn: { x: 0.5, y: 0.47 },
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * @throws {Error} If the obstacle names a material that does not exist.
+ */
+function validateMaterial(obstacle, label) {
+    if (obstacle.material !== undefined && !getMaterialNames().includes(obstacle.material)) {
+        throw new Error(`${label} has unknown material "${obstacle.material}"`);
+    }
+}
+
+/**
+ * @returns {boolean} Whether the points form a convex polygon (either winding), which is all collision.mjs handles.
+ */
+function isConvex(points) {
+    let sign = 0;
+    return points.every((a, i) => {
+        const b = points[(i + 1) % points.length], c = points[(i + 2) % points.length];
+        const cross = Math.sign((b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x));
+        if (cross === 0) return true;
+        if (sign === 0) sign = cross;
+        return cross === sign;
+    });
+}
+
+/**
+ * @throws {Error} If a static shape obstacle is missing a value or is not convex.
+ */
+function validateShape(shape, i) {
+    if (!SHAPE_TYPES.includes(shape.type)) throw new Error(`Shape ${i} has unknown type "${shape.type}"`);
+    if (shape.type === "polygon") {
+        if (!Array.isArray(shape.points) || shape.points.length < 3 || !shape.points.every(pt => isNumber(pt.x) && isNumber(pt.y))) {
+            throw new Error(`Shape ${i} (polygon) needs at least three points with numeric x and y`);
+        }
+        if (!isConvex(shape.points)) throw new Error(`Shape ${i} (polygon) must be convex`);
+    } else {
+        const numbers = shape.type === "circle"
+            ? [shape.x, shape.y, shape.radius]
+            : [shape.cx, shape.cy, shape.radius, shape.startAngle, shape.endAngle, shape.thickness];
+        if (!numbers.every(isNumber)) throw new Error(`Shape ${i} (${shape.type}) is missing a numeric value`);
+    }
+    validateMaterial(shape, `Shape ${i}`);
+}
+
+/**
+ * Checks that a parsed level has the shape described above.
+ * @param {Object} level - Parsed level data.
+ * @returns {Object} The same level, for chaining.
+ * @throws {Error} Describing the first problem found.
+ */
+export function validateLevel(level) {
+    if (!level || typeof level !== 'object') throw new Error("Level must be an object");
+    if (!Array.isArray(level.platforms) || level.platforms.length === 0) {
+        throw new Error("Level needs at least one platform");
+    }
+    level.platforms.forEach((p, i) => {
+        if (![p.x1, p.y1, p.x2, p.y2].every(isNumber)) throw new Error(`Platform ${i} needs numeric x1, y1, x2, y2`);
+        if (p.input !== undefined && !PLATFORM_INPUTS.includes(p.input)) {
+            throw new Error(`Platform ${i} has unknown input "${p.input}"`);
+        }
+        if (p.pivot !== undefined && !(isNumber(p.pivot.x) && isNumber(p.pivot.y))) {
+            throw new Error(`Platform ${i} pivot needs numeric x and y`);
+        }
+        if ([p.minAngle, p.maxAngle].some(angle => angle !== undefined && !isNumber(angle))) {
+            throw new Error(`Platform ${i} minAngle and maxAngle must be numbers`);
+        }
+        if (p.minAngle > p.maxAngle) throw new Error(`Platform ${i} has minAngle above maxAngle`);
+        validateMaterial(p, `Platform ${i}`);
+    });
+    (level.rects || []).forEach((rect, i) => {
+        if (![rect.x, rect.y, rect.w, rect.h].every(isNumber)) throw new Error(`Rect ${i} needs numeric x, y, w, h`);
+        validateMaterial(rect, `Rect ${i}`);
+    });
+    if (level.shapes !== undefined && !Array.isArray(level.shapes)) throw new Error("Level shapes must be an array");
+    (level.shapes || []).forEach(validateShape);
+    if (level.fields !== undefined) validateFields(level.fields);
+    if (!level.spawn || !isNumber(level.spawn.x) || !isNumber(level.spawn.y)) {
+        throw new Error("Level needs a spawn point with numeric x and y");
+    }
+    if (level.hazards !== undefined && (typeof level.hazards !== 'object' || !Object.values(level.hazards).every(isNumber))) {
+        throw new Error("Level hazards must map hazard types to unlock times in seconds");
+    }
+    Object.keys(level.hazards || {}).forEach(type => {
+        if (!getHazardNames().includes(type)) throw new Error(`Level hazards has unknown hazard type "${type}"`);
+    });
+    return level;
+}
+
+/**
+ * Fetches and validates a level JSON file.
+ * @param {string} url - Location of the level file, e.g. "levels/twin-slopes.json".
+ * @returns {Promise<Object>} The level data.
+ */
+export async function loadLevel(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Could not load level ${url}: ${response.status}`);
+    return validateLevel(await response.json());
+}
+
+/**
+ * Converts a level into pixel geometry for a playfield of the given size.
+ * @param {Object} level - Validated level data.
+ * @param {number} width - Playfield width in pixels.
+ * @param {number} height - Playfield height in pixels.
+ * @returns {{
+ * platforms: Array<{centerX: number, centerY: number, offset1: {x: number, y: number}, offset2: {x: number, y: number}, thickness: number, minAngle: number, maxAngle: number, input: string, material: string}>,
+ * rects: Array<{type: string, id: string, x: number, y: number, w: number, h: number, material: string}>,
+ * shapes: Array<Object>,
+ * fields: Array<Object>,
+ * spawn: {x: number, y: number}
+ * }} Platforms are described relative to their pivot so they can be rotated cheaply each tick.
+ */
+export function buildLevel(level, width, height) {
+    const platforms = level.platforms.map(p => {
+        const x1 = p.x1 * width, y1 = p.y1 * height;
+        const x2 = p.x2 * width, y2 = p.y2 * height;
+        const centerX = p.pivot ? p.pivot.x * width : (x1 + x2) / 2;
+        const centerY = p.pivot ? p.pivot.y * height : (y1 + y2) / 2;
+        return {
+            centerX, centerY,
+            // endpoints relative to the pivot at angle 0
+            offset1: { x: x1 - centerX, y: y1 - centerY },
+            offset2: { x: x2 - centerX, y: y2 - centerY },
+            thickness: Math.max(MIN_THICKNESS_PX, (p.thickness ?? DEFAULT_THICKNESS) * height), // keep reasonable min thickness
+            minAngle: p.minAngle ?? -Infinity,
+            maxAngle: p.maxAngle ?? Infinity,
+            input: p.input || "primary",
+            material: p.material || "default",
+        };
+    });
+
+    const rects = (level.rects || []).map((rect, i) => ({
+        type: "rect", id: `rect-${i}`,
+        x: rect.x * width, y: rect.y * height,
+        w: rect.w * width, h: rect.h * height,
+        material: rect.material || "default",
+    }));
+
+    // Obstacles in the form checkCircleCollisions expects
+    const shapes = (level.shapes || []).map((shape, i) => {
+        const common = { type: shape.type, id: `shape-${i}`, material: shape.material || "default" };
+        if (shape.type === "circle") {
+            return { ...common, x: shape.x * width, y: shape.y * height, radius: shape.radius * height };
+        }
+        if (shape.type === "polygon") {
+            return { ...common, points: shape.points.map(pt => ({ x: pt.x * width, y: pt.y * height })) };
+        }
+        return {
+            ...common,
+            cx: shape.cx * width, cy: shape.cy * height, radius: shape.radius * height,
+            startAngle: shape.startAngle, endAngle: shape.endAngle,
+            thickness: Math.max(MIN_THICKNESS_PX, shape.thickness * height),
+        };
+    });
+
+    const fields = buildFields(level.fields || [], width, height);
+
+    return { platforms, rects, shapes, fields, spawn: { x: level.spawn.x * width, y: level.spawn.y * height } };
+}
+
+/**
+ * Rotates a built platform around its pivot.
+ * @param {Object} platform - One entry of buildLevel().platforms.
+ * @param {number} angle - Rotation from the start pose in radians.
+ * @returns {{x1: number, y1: number, x2: number, y2: number}} The rotated endpoints.
+ */
+export function getPlatformEndpoints(platform, angle) {
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    const { centerX, centerY, offset1, offset2 } = platform;
+    return {
+        x1: centerX + offset1.x * cos - offset1.y * sin,
+        y1: centerY + offset1.x * sin + offset1.y * cos,
+        x2: centerX + offset2.x * cos - offset2.y * sin,
+        y2: centerY + offset2.x * sin + offset2.y * cos,
+    };
+}
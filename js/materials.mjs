@@ -0,0 +1,64 @@
+/**
+ * Surface materials of obstacles. Each material describes how a contact behaves:
+ * - restitution: share of the impact speed that bounces back (0 = dead, 1 = perfectly elastic)
+ * - tangentialFriction: share of the sliding speed kept per tick (1 = frictionless)
+ * - tangentialRetention: share of the pre-contact sliding speed kept on impact (0..1)
+ * - grip: share of the slip between ball surface and obstacle that turns into spin per tick
+ * - conveyorSpeed: constant surface speed along the obstacle (pixels per tick at scale 1, positive moves the ball
+ *   clockwise around the obstacle, i.e. to the right on top of a platform)
+ * Obstacles reference materials by name ({ material: "ice" }), obstacles without one use "default".
+ */
+const MATERIALS = {
+    // The original slope feel
+    default: { restitution: 0.3, tangentialFriction: 0.995, tangentialRetention: 0.6, grip: 0.3, conveyorSpeed: 0 },
+    // Hardly slows the ball down and barely grips, so it spins up slowly
+    ice: { restitution: 0.2, tangentialFriction: 1, tangentialRetention: 0.9, grip: 0.02, conveyorSpeed: 0 },
+    // Bounces the ball back
+    rubber: { restitution: 0.85, tangentialFriction: 0.98, tangentialRetention: 0.5, grip: 0.6, conveyorSpeed: 0 },
+    // Swallows impacts and brakes hard
+    sticky: { restitution: 0, tangentialFriction: 0.85, tangentialRetention: 0.2, grip: 0.8, conveyorSpeed: 0 },
+    // Carries the ball along at a constant speed
+    conveyor: { restitution: 0.3, tangentialFriction: 0.9, tangentialRetention: 0.4, grip: 0.5, conveyorSpeed: 2 },
+};
+
+/**
+ * Material of the ball. Its values are neutral, so contacts behave exactly like the obstacle's material.
+ * (combineMaterials: restitution max, frictions and grip multiply, retention min)
+ */
+export const BALL_MATERIAL = { restitution: 0, tangentialFriction: 1, tangentialRetention: 1, grip: 1 };
+
+/**
+ * @returns {string[]} Names of all materials.
+ */
+export function getMaterialNames() {
+    return Object.keys(MATERIALS);
+}
+
+/**
+ * @param {string} [name="default"] - Material name.
+ * @returns {Object} The material.
+ * @throws {Error} If there is no material with that name.
+ */
+export function getMaterial(name = "default") {
+    const material = MATERIALS[name];
+    if (!material) throw new Error(`Unknown material: ${name}`);
+    return material;
+}
+
+/**
+ * Combines the ball's and an obstacle's material into the values used for their contact.
+ * The bouncier surface wins, friction and grip are the product of both surfaces (a slippery side makes the contact
+ * slippery), and the lower retention wins.
+ * @param {Object} ball - Ball material (see BALL_MATERIAL).
+ * @param {Object} obstacle - Obstacle material (see MATERIALS).
+ * @returns {{restitution: number, tangentialFriction: number, tangentialRetention: number, grip: number, conveyorSpeed: number}}
+ */
+export function combineMaterials(ball, obstacle) {
+    return {
+        restitution: Math.max(ball.restitution, obstacle.restitution),
+        tangentialFriction: ball.tangentialFriction * obstacle.tangentialFriction,
+        tangentialRetention: Math.min(ball.tangentialRetention, obstacle.tangentialRetention),
+        grip: ball.grip * obstacle.grip,
+        conveyorSpeed: obstacle.conveyorSpeed,
+    };
+}
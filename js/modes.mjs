@@ -0,0 +1,50 @@
+/**
+ * Game modes. A mode owns the rules around a run, the difficulty preset still shapes how hard it gets:
+ * - lives: runs end when the last one is lost (null = unlimited); losing a life respawns the ball on the spawn point
+ * - invulnerableTicks: after a respawn hazards pass through the ball for this many ticks
+ * - timeLimit: seconds after which the run ends with cause 'timeUp' (null = none)
+ * - hazards: whether hazards spawn at all (pickups always do), spawnIntervalScale multiplies the time between them
+ * - bonusScale: multiplies all bonus points (see ScoreTracker)
+ * - ranked: whether scores count towards the high scores
+ */
+const MODES = {
+    // The original: one life, until the first hit
+    endless: {
+        name: "Endless", lives: 1, invulnerableTicks: 0, timeLimit: null,
+        hazards: true, spawnIntervalScale: 1, bonusScale: 1, ranked: true,
+    },
+    // Score as much as possible in one minute: more hazards, and style pays double
+    timeAttack: {
+        name: "Time Attack", lives: 1, invulnerableTicks: 0, timeLimit: 60,
+        hazards: true, spawnIntervalScale: 0.75, bonusScale: 2, ranked: true,
+    },
+    survival: {
+        name: "Survival", lives: 3, invulnerableTicks: 120, timeLimit: null,
+        hazards: true, spawnIntervalScale: 1, bonusScale: 1, ranked: true,
+    },
+    // Practice the balancing without hazards, falling just respawns
+    zen: {
+        name: "Zen", lives: null, invulnerableTicks: 60, timeLimit: null,
+        hazards: false, spawnIntervalScale: 1, bonusScale: 1, ranked: false,
+    },
+};
+
+export const DEFAULT_MODE = "endless";
+
+/**
+ * @returns {Array<{id: string, name: string}>} The modes for the selector.
+ */
+export function getModes() {
+    return Object.keys(MODES).map(id => ({ id, name: MODES[id].name }));
+}
+
+/**
+ * @param {string} id - Mode id.
+ * @returns {Object} The mode.
+ * @throws {Error} If there is no mode with that id.
+ */
+export function getMode(id) {
+    const mode = MODES[id];
+    if (!mode) throw new Error(`Unknown game mode: ${id}`);
+    return mode;
+}
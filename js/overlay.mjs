@@ -1,21 +1,54 @@
 import { getBallDesigns, drawDesignPreview } from "./draw.mjs";
+import { parseReplay } from "./replay.mjs";
+import { getDifficultyPresets } from "./difficulty.mjs";
+import { SCORE_CATEGORIES } from "./utils.mjs";
+import { getModes, getMode } from "./modes.mjs";
+import { getAchievementList } from "./achievements.mjs";
 
 /**
- * Manages the game overlay (menu and game over screens) and the overall game state.
+ * Manages the game overlay (menu, pause and game over screens) and the overall game state.
  * @param {HTMLCanvasElement} cnv - The main game canvas element.
+ * @param {ReturnType<typeof import("./storage.mjs").GameStorage>} storage - Persistent storage for design unlocks and selection
+ * and the selected difficulty, adaptive mode and game mode, the leaderboards, the achievement progress and the audio settings.
  */
-export function OverlayManager(cnv) {
+export function OverlayManager(cnv, storage) {
     // Map design ID (index) to required high score. Design ID 0 is always unlocked (score: 0).
     const UNLOCK_SCORES = [0, 20, 50, 100, 200]; 
+    // Control help shown on the menu, covering touch, keyboard, mouse and gamepad
+    const INSTRUCTIONS = 'Instructions: Touch left/right half to rotate. Touch with two fingers to jump. ' +
+        'Keyboard: Arrows or A/D to rotate, Space to jump. Mouse: hold left button on a half to rotate, right button to jump. ' +
+        'Gamepad: stick or triggers to rotate, A to jump. Hold jump to jump higher.';
+    const PAUSE_MESSAGE = 'Press Esc/P or tap Resume to continue. Touch with three fingers to pause.';
+    // How a run ended, as shown on the leaderboard
+    const CAUSE_LABELS = { laser: 'Laser', ground: 'Fell', timeUp: 'Time up', quit: 'Ended' };
+    const MAX_NAME_LENGTH = 16;
     
-    let gameState = 'menu'; // 'menu', 'playing', 'gameOver'
-    let startButton;
-    let overlayTitle, overlayMessage, scoreDisplay, overlay;
+    let gameState = 'menu'; // 'menu', 'playing', 'paused', 'gameOver'
+    let startButton, resumeButton, endRunButton;
+    let overlayTitle, overlayMessage, scoreDisplay, breakdownDisplay, overlay;
     let designContainer; // Reference to the button container
     let designButtons = []; // Array to hold button references
-    let currentDesignId = 0; // Track the currently selected design ID
+    let currentDesignId = storage.getBallDesignId(); // Track the currently selected design ID (restored from storage)
     let designChangeCallback = null; // Store the callback for re-use
     let lastKnownHighScore = 0; // Track the high score used to render the buttons
+    let watchReplayButton, saveReplayButton, loadReplayButton, replayFileInput;
+    let getLastReplay = () => null; // Provides the replay of the last live run (set via setReplayHandlers)
+    let watchReplayCallback = null; // Starts playback of a replay in main.mjs
+    let difficultyButtons = []; // One button per difficulty preset
+    let difficultyChangeCallback = null; // Switches the difficulty in main.mjs
+    let adaptiveButton; // Toggles the adaptive difficulty mode
+    let adaptiveMode = storage.getAdaptive(); // Scores of adaptive runs are labeled as such
+    let modeButtons = []; // One button per game mode
+    let modeChangeCallback = null; // Switches the game mode in main.mjs
+    let endRunCallback = null; // Ends the paused run in main.mjs
+    let leaderboardButton, leaderboardView, nameEntry, nameInput;
+    let leaderboardVisible = false;
+    let achievementsButton, achievementsView;
+    let achievementsVisible = false;
+    let muteButton; // Toggles all sound
+    let audioChangeCallback = null; // Applies the audio settings in main.mjs
+    let nameSubmitCallback = null; // Adds the finished run under the entered name, set while the name entry is shown
+    let nameSubmitBoard = null; // Leaderboard the finished run goes on, [difficultyId, adaptive, modeId]
 
     // 1. Initial DOM Creation
     const createOverlayDOM = () => {
@@ -27,15 +60,56 @@ export function OverlayManager(cnv) {
         overlay.innerHTML = `
             <div id="overlay-content">
                 <h1 id="overlay-title">Ball Runner</h1>
-                <p id="overlay-message">Instructions: Touch left/right half to rotate. Touch with two fingers to jump.</p>
+                <p id="overlay-message">${INSTRUCTIONS}</p>
                 
+                <div id="mode-selector-container">
+                    <label>Mode:</label>
+                    <div id="mode-container"></div>
+                </div>
+
+                <div id="difficulty-selector-container">
+                    <label>Difficulty:</label>
+                    <div id="difficulty-container"></div>
+                </div>
+
                 <div id="design-selector-container">
                     <label>Ball Design:</label>
                     <div id="design-container"></div>
                 </div>
+
+                <div id="audio-container">
+                    <button id="mute-button" class="difficulty-button"></button>
+                    <label>Master <input id="master-volume" type="range" min="0" max="100"></label>
+                    <label>Music <input id="music-volume" type="range" min="0" max="100"></label>
+                    <label>Effects <input id="sfx-volume" type="range" min="0" max="100"></label>
+                </div>
                 
                 <p id="score-display"></p>
+                <p id="score-breakdown"></p>
+                <div id="name-entry">
+                    <label for="name-input">New leaderboard entry! Your name:</label>
+                    <input id="name-input" type="text" maxlength="${MAX_NAME_LENGTH}" autocomplete="nickname">
+                    <button id="name-submit-button" class="replay-button">Save</button>
+                </div>
                 <button id="start-button">Tap to Start</button>
+                <button id="resume-button">Resume</button>
+                <button id="end-run-button">End Run</button>
+                <div id="replay-controls">
+                    <button id="watch-replay-button" class="replay-button">Watch Replay</button>
+                    <button id="save-replay-button" class="replay-button">Save Replay</button>
+                    <button id="load-replay-button" class="replay-button">Load Replay</button>
+                    <input id="replay-file-input" type="file" accept=".json,application/json" hidden>
+                    <button id="leaderboard-button" class="replay-button">Leaderboard</button>
+                    <button id="achievements-button" class="replay-button">Achievements</button>
+                </div>
+                <div id="leaderboard">
+                    <p id="leaderboard-title"></p>
+                    <table id="leaderboard-table"></table>
+                </div>
+                <div id="achievements">
+                    <p id="achievements-title"></p>
+                    <ul id="achievements-list"></ul>
+                </div>
             </div>
         `;
         document.body.appendChild(overlay);
@@ -44,12 +118,294 @@ export function OverlayManager(cnv) {
         overlayTitle = document.getElementById("overlay-title");
         overlayMessage = document.getElementById("overlay-message");
         startButton = document.getElementById("start-button");
+        resumeButton = document.getElementById("resume-button");
+        endRunButton = document.getElementById("end-run-button");
         scoreDisplay = document.getElementById("score-display");
+        breakdownDisplay = document.getElementById("score-breakdown");
         designContainer = document.getElementById("design-container"); 
+        watchReplayButton = document.getElementById("watch-replay-button");
+        saveReplayButton = document.getElementById("save-replay-button");
+        loadReplayButton = document.getElementById("load-replay-button");
+        replayFileInput = document.getElementById("replay-file-input");
+        leaderboardButton = document.getElementById("leaderboard-button");
+        leaderboardView = document.getElementById("leaderboard");
+        nameEntry = document.getElementById("name-entry");
+        nameInput = document.getElementById("name-input");
+        achievementsButton = document.getElementById("achievements-button");
+        achievementsView = document.getElementById("achievements");
+        muteButton = document.getElementById("mute-button");
+        createAudioControls();
+        createModeButtons();
+        createDifficultyButtons();
+
+        watchReplayButton.addEventListener('click', () => {
+            const replay = getLastReplay();
+            if (replay) watchReplay(replay);
+        });
+        saveReplayButton.addEventListener('click', () => {
+            const replay = getLastReplay();
+            if (replay) downloadReplay(replay);
+        });
+        // Replays are shared as files, e.g. attached to a bug report
+        loadReplayButton.addEventListener('click', () => replayFileInput.click());
+        replayFileInput.addEventListener('change', () => {
+            const file = replayFileInput.files[0];
+            replayFileInput.value = ''; // Allow loading the same file again
+            if (!file) return;
+            file.text()
+                .then(parseReplay)
+                .then(watchReplay)
+                .catch(err => {
+                    overlayMessage.textContent = `Could not load replay: ${err.message}`;
+                });
+        });
+        leaderboardButton.addEventListener('click', () => showLeaderboard(!leaderboardVisible));
+        achievementsButton.addEventListener('click', () => showAchievements(!achievementsVisible));
+        document.getElementById("name-submit-button").addEventListener('click', submitName);
+        nameInput.addEventListener('keydown', (ev) => {
+            if (ev.key === 'Enter') submitName();
+        });
 
         // Initial display of the menu overlay is deferred to init.
     };
 
+    /**
+     * Creates one button per game mode, each mode keeps its own high scores.
+     */
+    const createModeButtons = () => {
+        const container = document.getElementById("mode-container");
+        modeButtons = getModes().map(mode => {
+            const button = document.createElement('button');
+            button.className = 'mode-button';
+            button.dataset.mode = mode.id;
+            button.textContent = mode.name;
+            button.addEventListener('click', () => {
+                setCurrentMode(mode.id);
+                storage.setGameMode(mode.id);
+                if (modeChangeCallback) modeChangeCallback(mode.id);
+                if (leaderboardVisible) renderLeaderboard();
+            });
+            container.appendChild(button);
+            return button;
+        });
+        setCurrentMode(storage.getGameMode());
+    };
+
+    /**
+     * Highlights the button of the selected game mode.
+     * @param {string} mode - Game mode id.
+     */
+    const setCurrentMode = (mode) => {
+        modeButtons.forEach(button => {
+            button.classList.toggle('selected', button.dataset.mode === mode);
+        });
+    };
+
+    /**
+     * Creates one button per difficulty preset plus the adaptive mode toggle.
+     * Every preset keeps its own high score, with and without the adaptive mode.
+     */
+    const createDifficultyButtons = () => {
+        const container = document.getElementById("difficulty-container");
+        difficultyButtons = getDifficultyPresets().map(preset => {
+            const button = document.createElement('button');
+            button.className = 'difficulty-button';
+            button.dataset.difficulty = preset.id;
+            button.textContent = preset.name;
+            button.addEventListener('click', () => {
+                setCurrentDifficulty(preset.id);
+                storage.setDifficulty(preset.id);
+                notifyDifficultyChange();
+            });
+            container.appendChild(button);
+            return button;
+        });
+        setCurrentDifficulty(storage.getDifficulty());
+
+        adaptiveButton = document.createElement('button');
+        adaptiveButton.className = 'difficulty-button';
+        adaptiveButton.textContent = 'Adaptive';
+        adaptiveButton.title = 'Adjusts hazards and speed to how you play. Scores are kept separately.';
+        adaptiveButton.classList.toggle('selected', adaptiveMode);
+        adaptiveButton.addEventListener('click', () => {
+            adaptiveMode = !adaptiveMode;
+            adaptiveButton.classList.toggle('selected', adaptiveMode);
+            storage.setAdaptive(adaptiveMode);
+            notifyDifficultyChange();
+        });
+        container.appendChild(adaptiveButton);
+    };
+
+    /**
+     * Tells main.mjs about the current difficulty selection.
+     */
+    const notifyDifficultyChange = () => {
+        if (difficultyChangeCallback) difficultyChangeCallback(storage.getDifficulty(), adaptiveMode);
+        if (leaderboardVisible) renderLeaderboard();
+    };
+
+    /**
+     * @returns {string} Label of the high score, flagged for the adaptive mode.
+     */
+    const highScoreLabel = () => adaptiveMode ? 'Adaptive High Score' : 'High Score';
+
+    /**
+     * @returns {Array} The leaderboard of the selected difficulty, adaptive mode and game mode, [difficultyId, adaptive, modeId].
+     */
+    const selectedBoard = () => [storage.getDifficulty(), adaptiveMode, storage.getGameMode()];
+
+    /**
+     * Fills the leaderboard view with the best runs of a game mode, difficulty and adaptive mode.
+     * @param {number} [highlightRank=-1] - Rank of the run to highlight, e.g. the one just entered.
+     * @param {Array} [board] - [difficultyId, adaptive, modeId] of the leaderboard, defaults to the selected one.
+     */
+    const renderLeaderboard = (highlightRank = -1, board = selectedBoard()) => {
+        const [difficultyId, adaptive, modeId] = board;
+        const difficultyName = getDifficultyPresets().find(preset => preset.id === difficultyId).name;
+        const title = document.getElementById("leaderboard-title");
+        const table = document.getElementById("leaderboard-table");
+        title.textContent = [getMode(modeId).name, difficultyName, adaptive && 'Adaptive'].filter(Boolean).join(' · ');
+        table.innerHTML = '';
+        if (!getMode(modeId).ranked) {
+            title.textContent += ' runs are not ranked';
+            return;
+        }
+        const entries = storage.getLeaderboard(difficultyId, adaptive, modeId);
+        if (entries.length === 0) {
+            title.textContent += ': no runs yet';
+            return;
+        }
+        const addRow = (cells, tag, className) => {
+            const row = document.createElement('tr');
+            if (className) row.className = className;
+            cells.forEach(text => {
+                const cell = document.createElement(tag);
+                cell.textContent = text; // Names are player input, never parse them as HTML
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        };
+        addRow(['#', 'Name', 'Score', 'Time', 'End', 'Date'], 'th');
+        entries.forEach((entry, rank) => {
+            addRow([
+                rank + 1,
+                entry.name,
+                entry.score,
+                formatDuration(entry.duration),
+                CAUSE_LABELS[entry.cause] || entry.cause,
+                new Date(entry.date).toLocaleDateString(),
+            ], 'td', rank === highlightRank ? 'highlight' : '');
+        });
+    };
+
+    /**
+     * @param {number} seconds - Run duration.
+     * @returns {string} The duration as minutes:seconds, e.g. "1:05".
+     */
+    const formatDuration = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+    /**
+     * Shows or hides the leaderboard view.
+     * @param {boolean} visible - Whether to show it.
+     * @param {number} [highlightRank=-1] - Rank of the run to highlight.
+     * @param {Array} [board] - [difficultyId, adaptive, modeId] of the leaderboard, defaults to the selected one.
+     */
+    const showLeaderboard = (visible, highlightRank = -1, board = selectedBoard()) => {
+        leaderboardVisible = visible;
+        if (visible) renderLeaderboard(highlightRank, board);
+        leaderboardView.style.display = visible ? 'block' : 'none';
+        leaderboardButton.textContent = visible ? 'Hide Leaderboard' : 'Leaderboard';
+    };
+
+    /**
+     * Fills the achievements panel: every achievement with its description, unlocked ones marked, the others with their progress.
+     */
+    const renderAchievements = () => {
+        const achievements = getAchievementList(storage.getAchievementProgress());
+        const list = document.getElementById("achievements-list");
+        const unlockedCount = achievements.filter(achievement => achievement.unlocked).length;
+        document.getElementById("achievements-title").textContent = `${unlockedCount} of ${achievements.length} unlocked`;
+        list.innerHTML = '';
+        achievements.forEach(achievement => {
+            const item = document.createElement('li');
+            item.className = achievement.unlocked ? 'unlocked' : '';
+            // Measured stats such as seconds are fractional, progress is shown in whole steps
+            const status = achievement.unlocked ? 'Unlocked' : `${Math.floor(achievement.value)}/${achievement.goal}`;
+            item.textContent = `${achievement.name}: ${achievement.description} (${status})`;
+            list.appendChild(item);
+        });
+    };
+
+    /**
+     * Shows or hides the achievements panel.
+     * @param {boolean} visible - Whether to show it.
+     */
+    const showAchievements = (visible) => {
+        achievementsVisible = visible;
+        if (visible) renderAchievements();
+        achievementsView.style.display = visible ? 'block' : 'none';
+        achievementsButton.textContent = visible ? 'Hide Achievements' : 'Achievements';
+    };
+
+    /**
+     * Hides the name entry and adds the finished run under the entered name (the last one used if left empty).
+     */
+    const submitName = () => {
+        if (!nameSubmitCallback) return;
+        const name = nameInput.value.trim().slice(0, MAX_NAME_LENGTH) || storage.getPlayerName() || 'Player';
+        storage.setPlayerName(name);
+        const rank = nameSubmitCallback(name);
+        // The selection may have changed since the run ended, show the board the run went on
+        const board = nameSubmitBoard;
+        hideNameEntry();
+        showLeaderboard(true, rank, board);
+    };
+
+    const hideNameEntry = () => {
+        nameSubmitCallback = null;
+        nameSubmitBoard = null;
+        nameEntry.style.display = 'none';
+    };
+
+    /**
+     * Sets up the mute button and the volume sliders from the saved audio settings.
+     */
+    const createAudioControls = () => {
+        const updateMuteButton = () => {
+            const { muted } = storage.getAudioSettings();
+            muteButton.textContent = muted ? 'Sound Off' : 'Sound On';
+            muteButton.classList.toggle('selected', !muted);
+        };
+        const changeSettings = (changes, persist = true) => {
+            const settings = { ...storage.getAudioSettings(), ...changes };
+            if (persist) storage.setAudioSettings(settings);
+            if (audioChangeCallback) audioChangeCallback(settings);
+        };
+        muteButton.addEventListener('click', () => {
+            changeSettings({ muted: !storage.getAudioSettings().muted });
+            updateMuteButton();
+        });
+        updateMuteButton();
+        const sliders = { master: 'master-volume', music: 'music-volume', sfx: 'sfx-volume' };
+        Object.keys(sliders).forEach(setting => {
+            const slider = document.getElementById(sliders[setting]);
+            slider.value = Math.round(storage.getAudioSettings()[setting] * 100);
+            // Dragging is heard right away, the save is written once the slider is let go
+            slider.addEventListener('input', () => changeSettings({ [setting]: slider.value / 100 }, false));
+            slider.addEventListener('change', () => changeSettings({ [setting]: slider.value / 100 }));
+        });
+    };
+
+    /**
+     * Highlights the button of the selected difficulty.
+     * @param {string} difficulty - Difficulty preset id.
+     */
+    const setCurrentDifficulty = (difficulty) => {
+        difficultyButtons.forEach(button => {
+            button.classList.toggle('selected', button.dataset.difficulty === difficulty);
+        });
+    };
+
     /**
      * Creates and attaches the design buttons, and sets up listeners.
      * @param {number} currentHighScore - The player's current high score.
@@ -65,7 +421,11 @@ export function OverlayManager(cnv) {
             const designId = design.id;
             // Use the UNLOCK_SCORES array for required score
             const requiredScore = UNLOCK_SCORES[designId] !== undefined ? UNLOCK_SCORES[designId] : 9999;
-            const isLocked = currentHighScore < requiredScore; 
+            // Unlocks are permanent, so reaching the score once is enough
+            if (currentHighScore >= requiredScore) {
+                storage.unlockDesign(designId);
+            }
+            const isLocked = !storage.isDesignUnlocked(designId);
             
             const button = document.createElement('button');
             button.className = 'design-button';
@@ -107,7 +467,7 @@ export function OverlayManager(cnv) {
         });
         
         // Ensure that the currently selected design is not a newly locked design
-        if (currentDesignId >= UNLOCK_SCORES.length || currentHighScore < UNLOCK_SCORES[currentDesignId]) {
+        if (currentDesignId >= UNLOCK_SCORES.length || !storage.isDesignUnlocked(currentDesignId)) {
              currentDesignId = 0; // Fallback to design 0 if the current one is now locked
              if(designChangeCallback) designChangeCallback(0); // Notify main.mjs
         }
@@ -141,36 +501,98 @@ export function OverlayManager(cnv) {
     };
 
 
+    /**
+     * Switches to 'playing' and hands the replay to main.mjs for playback.
+     * @param {Object} replay - The replay to watch.
+     */
+    const watchReplay = (replay) => {
+        if (!watchReplayCallback) return;
+        setGameState('playing');
+        watchReplayCallback(replay);
+    };
+
+    /**
+     * Offers the replay as a JSON file download.
+     * @param {Object} replay - The replay to save.
+     */
+    const downloadReplay = (replay) => {
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `ballancier-replay-${replay.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    /**
+     * Shows the watch/save buttons only when there is a replay of a finished run.
+     */
+    const updateReplayButtons = () => {
+        const hasReplay = !!getLastReplay();
+        watchReplayButton.style.display = hasReplay ? 'inline-block' : 'none';
+        saveReplayButton.style.display = hasReplay ? 'inline-block' : 'none';
+    };
+
     const hideOverlay = () => {
         overlay.style.display = 'none';
         cnv.focus();
     };
 
-    const showOverlay = (title, message, finalScore, currentHighScore) => {
+    const showOverlay = (title, message, finalScore, currentHighScore, breakdown) => {
         overlayTitle.textContent = title;
         overlayMessage.textContent = message;
+        showBreakdown(breakdown);
         
         // Show the start button if the title is the initial menu OR the game over screen
         const isMenuState = title === 'Ball Runner' || title === 'Game Over!'; 
         startButton.style.display = isMenuState ? 'block' : 'none';
+        // A paused run can only be resumed, replays would abandon it
+        const isPausedState = title === 'Paused';
+        resumeButton.style.display = isPausedState ? 'block' : 'none';
+        endRunButton.style.display = isPausedState ? 'block' : 'none';
+        document.getElementById('replay-controls').style.display = isPausedState ? 'none' : 'flex';
+        // Any screen change drops a pending name entry, the run is simply not entered
+        hideNameEntry();
+        showLeaderboard(leaderboardVisible && !isPausedState);
+        // Re-rendered, a run may just have unlocked some
+        showAchievements(achievementsVisible && !isPausedState);
 
         // Always show design buttons in menu/game over state
         document.getElementById('design-selector-container').style.display = 'block'; 
+        // The difficulty can't change in the middle of a run
+        document.getElementById('difficulty-selector-container').style.display = isPausedState ? 'none' : 'block';
+        document.getElementById('mode-selector-container').style.display = isPausedState ? 'none' : 'block';
 
         if (finalScore !== undefined) {
-             scoreDisplay.textContent = `High Score: ${currentHighScore} | Your Score: ${finalScore}`;
+             scoreDisplay.textContent = `${highScoreLabel()}: ${currentHighScore} | Your Score: ${finalScore}`;
              scoreDisplay.style.display = 'block';
         } else {
-             scoreDisplay.textContent = `High Score: ${currentHighScore}`; // Display High Score even without final score
+             scoreDisplay.textContent = `${highScoreLabel()}: ${currentHighScore}`; // Display High Score even without final score
              scoreDisplay.style.display = 'block';
         }
         
         overlay.style.display = 'flex';
+        updateReplayButtons();
         
         // Recreate the buttons to ensure the correct lock state is shown
         createDesignButtons(currentHighScore);
     };
     
+    /**
+     * Shows where the points of a finished run came from, e.g. "Time 42 · Near-misses 9 · Pickups 5".
+     * Categories without points are left out.
+     * @param {Object<string, number>} [breakdown] - Points per category (see SCORE_CATEGORIES), omit to hide the line.
+     */
+    const showBreakdown = (breakdown) => {
+        const parts = breakdown
+            ? Object.keys(SCORE_CATEGORIES).filter(category => breakdown[category] > 0)
+                .map(category => `${SCORE_CATEGORIES[category]} ${breakdown[category]}`)
+            : [];
+        breakdownDisplay.textContent = parts.join(' · ');
+        breakdownDisplay.style.display = parts.length > 0 ? 'block' : 'none';
+    };
+
     /**
      * Initializes the overlay, creates the DOM, and sets up event listeners.
      * @param {function} resetGameCallback - Callback to reset the game state.
@@ -186,7 +608,7 @@ export function OverlayManager(cnv) {
         createDesignButtons(initialHighScore); 
 
         // Initial display of the menu overlay
-        showOverlay('Ball Runner', 'Instructions: Touch left/right half to rotate. Touch with two fingers to jump.', undefined, initialHighScore);
+        showOverlay('Ball Runner', INSTRUCTIONS, undefined, initialHighScore);
 
         const startGame = () => {
             setGameState('playing');
@@ -195,16 +617,23 @@ export function OverlayManager(cnv) {
 
         // Desktop/Mouse Compatibility
         startButton.addEventListener('click', startGame);
+        // Resuming only flips the state back, the run itself was never torn down
+        resumeButton.addEventListener('click', () => setGameState('playing'));
+        endRunButton.addEventListener('click', () => {
+            if (endRunCallback) endRunCallback();
+        });
     };
 
     /**
      * Sets the game state and updates the overlay if needed.
-     * @param {'menu'|'playing'|'gameOver'} newState - The new state to transition to.
-     * @param {number} [finalScore] - The score achieved if transitioning to 'gameOver'.
+     * @param {'menu'|'playing'|'paused'|'gameOver'} newState - The new state to transition to.
+     * @param {number} [finalScore] - The score achieved if transitioning to 'gameOver', or the running score when pausing.
      * @param {number} [currentHighScore] - The current highest score.
-     * @param {string} [cause] - The cause of game over ('laser' or 'ground'). 
+     * @param {string} [cause] - The cause of game over ('laser', 'ground', 'timeUp', 'quit' or 'replayEnd'). 
+     * @param {Object<string, number>} [breakdown] - Points per score category of the finished run.
+     * @param {?{score: number, cause: string}} [desync] - The recorded result of a replay whose playback ended differently.
      */
-    const setGameState = (newState, finalScore, currentHighScore, cause) => {
+    const setGameState = (newState, finalScore, currentHighScore, cause, breakdown, desync = null) => {
         gameState = newState;
         if (newState === 'gameOver') {
             let message = 'You were hit by a laser or fell to the ground!'; 
@@ -212,17 +641,87 @@ export function OverlayManager(cnv) {
                 message = 'You were vaporized by a laser!';
             } else if (cause === 'ground') {
                 message = 'You fell to the ground!';
+            } else if (cause === 'timeUp') {
+                message = "Time's up!";
+            } else if (cause === 'quit') {
+                message = 'You ended the run.';
+            } else if (cause === 'replayEnd') {
+                message = 'The replay has ended.';
             }
-            showOverlay('Game Over!', message, finalScore, currentHighScore);
+            if (desync) {
+                message += ` The replay went out of sync, it was recorded ending at ${desync.score} points (${CAUSE_LABELS[desync.cause] || desync.cause}).`;
+            }
+            showOverlay('Game Over!', message, finalScore, currentHighScore, breakdown);
         } else if (newState === 'menu') {
-            showOverlay('Ball Runner', 'Instructions: Touch left/right half to rotate. Touch with two fingers to jump.', undefined, currentHighScore);
+            showOverlay('Ball Runner', INSTRUCTIONS, undefined, currentHighScore);
+        } else if (newState === 'paused') {
+            showOverlay('Paused', PAUSE_MESSAGE, finalScore, currentHighScore);
         } else if (newState === 'playing') {
             hideOverlay();
         }
     };
     
     /**
-     * @returns {'menu'|'playing'|'gameOver'} The current game state.
+     * Connects the replay buttons to main.mjs.
+     * @param {function(): ?Object} lastReplayGetter - Returns the replay of the last live run, or null.
+     * @param {function(Object): void} onWatchReplay - Starts playback of the given replay.
+     */
+    const setReplayHandlers = (lastReplayGetter, onWatchReplay) => {
+        getLastReplay = lastReplayGetter;
+        watchReplayCallback = onWatchReplay;
+        updateReplayButtons();
+    };
+
+    /**
+     * Connects the difficulty selector to main.mjs.
+     * @param {function(string, boolean): void} onDifficultyChange - Called with the preset id and whether the adaptive mode
+     * is on when the player changes either.
+     */
+    const setDifficultyHandler = (onDifficultyChange) => {
+        difficultyChangeCallback = onDifficultyChange;
+    };
+
+    /**
+     * Connects the game mode selector to main.mjs.
+     * @param {function(string): void} onModeChange - Called with the mode id when the player picks a game mode.
+     */
+    const setModeHandler = (onModeChange) => {
+        modeChangeCallback = onModeChange;
+    };
+
+    /**
+     * Connects the mute button and volume sliders to main.mjs.
+     * @param {function({master: number, music: number, sfx: number, muted: boolean}): void} onAudioChange - Called with
+     * the new settings whenever the player changes one, also while a slider is dragged. Only mute clicks and released
+     * sliders (their change event) are saved by then, the values seen while dragging are not.
+     */
+    const setAudioHandler = (onAudioChange) => {
+        audioChangeCallback = onAudioChange;
+    };
+
+    /**
+     * Connects the End Run button of the pause screen to main.mjs.
+     * @param {function(): void} onEndRun - Ends the paused run, which then shows the game over screen.
+     */
+    const setEndRunHandler = (onEndRun) => {
+        endRunCallback = onEndRun;
+    };
+
+    /**
+     * Asks for a name on the game over screen of a run that made it onto the leaderboard.
+     * @param {Array} board - [difficultyId, adaptive, modeId] of the leaderboard the run goes on.
+     * @param {function(string): number} onSubmit - Adds the run under the entered name and returns its rank (0 = first).
+     */
+    const requestLeaderboardName = (board, onSubmit) => {
+        nameSubmitBoard = board;
+        nameSubmitCallback = onSubmit;
+        nameInput.value = storage.getPlayerName();
+        nameEntry.style.display = 'block';
+        nameInput.focus();
+    };
+
+    /**
+     * @returns {'menu'|'playing'|'paused'|'gameOver'} The current game state.
      */
     const getGameState = () => gameState;
 
@@ -235,9 +734,9 @@ export function OverlayManager(cnv) {
         if (gameState !== 'playing') {
              // Re-use logic from showOverlay to update the score display text
              if (currentScore !== undefined) {
-                 scoreDisplay.textContent = `High Score: ${currentHighScore} | Your Score: ${currentScore}`;
+                 scoreDisplay.textContent = `${highScoreLabel()}: ${currentHighScore} | Your Score: ${currentScore}`;
              } else {
-                 scoreDisplay.textContent = `High Score: ${currentHighScore}`;
+                 scoreDisplay.textContent = `${highScoreLabel()}: ${currentHighScore}`;
              }
              scoreDisplay.style.display = 'block';
              document.getElementById('design-selector-container').style.display = 'block';
@@ -249,5 +748,9 @@ export function OverlayManager(cnv) {
         }
     };
 
-    return { init, getGameState, setGameState, updateScoreDisplay };
+    return {
+        init, getGameState, setGameState, updateScoreDisplay,
+        setReplayHandlers, setDifficultyHandler, setModeHandler, setEndRunHandler, setAudioHandler,
+        requestLeaderboardName,
+    };
 }
\ No newline at end of file
@@ -0,0 +1,40 @@
+// Key codes (KeyboardEvent.code) that toggle pause.
+const PAUSE_KEYS = ["Escape", "KeyP"];
+// Touching the screen with this many fingers at once pauses (two fingers are already the jump).
+const PAUSE_TOUCH_COUNT = 3;
+
+/**
+ * Listens for pause gestures and for the page losing focus.
+ * Escape/P toggles pause, a three-finger touch pauses, and hiding the tab or leaving the window pauses automatically.
+ * @param {HTMLCanvasElement} cnv - The game canvas element.
+ * @param {function(): string} getGameState - Function to retrieve the current game state from OverlayManager.
+ * @param {function(): void} onPause - Called when a running game should pause.
+ * @param {function(): void} onResume - Called when a paused game should resume.
+ */
+export function PauseManager(cnv, getGameState, onPause, onResume) {
+    const pauseIfPlaying = () => {
+        if (getGameState() === 'playing') onPause();
+    };
+
+    window.addEventListener("keydown", (ev) => {
+        if (!PAUSE_KEYS.includes(ev.code) || ev.repeat) return;
+        const gameState = getGameState();
+        if (gameState === 'playing') {
+            ev.preventDefault();
+            onPause();
+        } else if (gameState === 'paused') {
+            ev.preventDefault();
+            onResume();
+        }
+    });
+
+    cnv.addEventListener("touchstart", (ev) => {
+        if (ev.touches.length >= PAUSE_TOUCH_COUNT) pauseIfPlaying();
+    });
+
+    // requestAnimationFrame stops in background tabs, so never leave a run going there
+    document.addEventListener("visibilitychange", () => {
+        if (document.hidden) pauseIfPlaying();
+    });
+    window.addEventListener("blur", pauseIfPlaying);
+}
@@ -1,11 +1,95 @@
-import { checkCircleCollisions } from "./collision.mjs";
+import { checkCircleCollisions, sweepCircle } from "./collision.mjs";
+import { BALL_MATERIAL, getMaterial, combineMaterials } from "./materials.mjs";
+
+// A step that moves the ball further than this fraction of its radius is checked along the way, not just at the end
+const MAX_SUBSTEP_TRAVEL = 0.5;
+// Upper bound for the sampled sub-steps of a single step
+const MAX_SUBSTEPS = 16;
+// Extra reach when registering a swept contact, so float rounding at the exact impact distance can't lose it
+const CONTACT_SLOP = 0.01;
+// Passes over all contacts after the main contact response (corners and wedges touch several obstacles at once)
+const SOLVER_ITERATIONS = 4;
+// Relative normal speed below which a contact is treated as an impact that bounces (negative = approaching)
+const ENERGY_DAMPING_THRESHOLD = -0.10;
+// Moment of inertia of the ball as a fraction of m*r^2. Lighter than a solid sphere (0.4),
+// so spinning up takes little of the sliding speed the game is tuned for.
+const BALL_INERTIA = 0.2;
+// Spin kept per step while airborne
+const SPIN_AIR_DAMPING = 0.995;
+
+/**
+ * Velocity of an obstacle's surface at a contact point, from its linear (vx/vy) and angular (centerX/centerY/angularVelocity) motion.
+ * @param {Object} o - Obstacle.
+ * @param {{x: number, y: number}} cp - Contact point.
+ * @returns {{x: number, y: number}} Velocity per step.
+ */
+function obstacleVelocityAt(o, cp) {
+	let obsVx = 0;
+	let obsVy = 0;
+
+	// Obstacles moving in a straight line (any shape) carry their velocity per tick as vx/vy
+	if (typeof o.vx === 'number') obsVx += o.vx;
+	if (typeof o.vy === 'number') obsVy += o.vy;
+
+	// Check if the obstacle is rotating around centerX/centerY (any shape, e.g. the level platforms)
+	if (o.angularVelocity !== undefined && o.angularVelocity !== 0) {
+		// Calculate the linear velocity of the contact point (cp)
+		const dx_center = cp.x - o.centerX;
+		const dy_center = cp.y - o.centerY;
+
+		// Linear velocity vector is perpendicular to the radius vector (dx_center, dy_center)
+		// v = omega x r (2D cross product: v_x = -omega * r_y, v_y = omega * r_x)
+		obsVx += -o.angularVelocity * dy_center;
+		obsVy += o.angularVelocity * dx_center;
+	}
+	return { x: obsVx, y: obsVy };
+}
+
+/**
+ * Finds where a fast moving circle first touches an obstacle between its start and end position.
+ * Every shape gets an exact time of impact (sweepCircle), overlap tests at sub-step positions along the path also
+ * catch obstacles the sweep skips because the circle already touches them at the start.
+ * @returns {?{x: number, y: number, hits: Array<Object>}} Position at the first contact and the hits there,
+ * or null if the path is clear (or short enough that the overlap test at the end position can't miss anything).
+ */
+function findFirstContact(x, y, vx, vy, r, obstacles) {
+	const travel = Math.hypot(vx, vy);
+	const maxTravel = r * MAX_SUBSTEP_TRAVEL;
+	if (travel <= maxTravel) return null;
+
+	const sweep = sweepCircle(x, y, vx, vy, r, obstacles);
+	let t = sweep ? sweep.t : null;
+
+	const substeps = Math.min(MAX_SUBSTEPS, Math.ceil(travel / maxTravel));
+	for (let i = 1; i < substeps; i++) {
+		const s = i / substeps;
+		if (t !== null && s >= t) break;
+		if (checkCircleCollisions(x + vx * s, y + vy * s, r, obstacles).length > 0) {
+			t = s;
+			break;
+		}
+	}
+	if (t === null) return null;
+
+	const cx = x + vx * t, cy = y + vy * t;
+	const hits = checkCircleCollisions(cx, cy, r + CONTACT_SLOP, obstacles);
+	return hits.length > 0 ? { x: cx, y: cy, hits } : null;
+}
 
 /**
  * Perform one physics step for a circular body and resolve collisions.
- * state: { x, y, dx, dy, speed, r }
- * obstacles: array of obstacle objects (same format used in main)
- * opts: { gravity, friction, bounds: { width, height }, stopThreshold, restitution, tangentialFriction }
- * returns updated state { x, y, dx, dy, speed, vx, vy, contact }
+ * state: { x, y, dx, dy, speed, r, spin, angle } where spin is the angular velocity (radians per step, positive = clockwise
+ * on screen) and angle the accumulated rotation, both optional
+ * obstacles: array of obstacle shapes (see checkCircleCollisions in collision.mjs), optionally moving via vx/vy
+ * or rotating via centerX/centerY/angularVelocity
+ * opts: { gravity, friction, bounds: { width, height }, stopThreshold, restitution, tangentialFriction, tangentialRetention,
+ * ballMaterial, scale }
+ * Each obstacle may name its surface material ({ material: "ice" }, see materials.mjs), which is combined with ballMaterial
+ * for its contacts. Obstacles without one use the default material, where the old world-wide restitution/friction
+ * options still apply. scale multiplies material speeds (conveyors) like gravity is pre-scaled.
+ * returns updated state { x, y, dx, dy, speed, vx, vy, spin, angle, contact, contacts }
+ * contacts is the contact manifold of this step, one entry per touched obstacle:
+ * { source, kind, cp, nx, ny, penetration, impulse } where impulse is the change of the ball's normal velocity it caused
  */
 export function step(state, obstacles, opts = {}) {
 	// The gravity value is now expected to be pre-scaled in main.mjs
@@ -14,13 +98,21 @@ export function step(state, obstacles, opts = {}) {
 	const bounds = opts.bounds || { width: 0, height: 0 };
 	// The stopThreshold value is now expected to be pre-scaled in main.mjs
 	const stopThreshold = opts.stopThreshold ?? 0.02; 
-	// Reduced restitution from 0.5 to 0.3 for a softer, less impactful rebound
-	const restitution = opts.restitution ?? 0.3; 
-	const tangentialFriction = opts.tangentialFriction ?? friction;
-	// how much of the pre-contact tangential speed to retain (0..1). Higher = retain more sideways momentum
-	const tangentialRetention = opts.tangentialRetention ?? 0.6;
+	// Material of obstacles without one. Reduced restitution from 0.5 to 0.3 for a softer, less impactful rebound,
+	// tangentialRetention is how much of the pre-contact tangential speed to retain (0..1). Higher = retain more sideways momentum
+	const defaultMaterial = {
+		...getMaterial("default"),
+		restitution: opts.restitution ?? 0.3,
+		tangentialFriction: opts.tangentialFriction ?? friction,
+		tangentialRetention: opts.tangentialRetention ?? 0.6,
+	};
+	const ballMaterial = opts.ballMaterial ?? BALL_MATERIAL;
+	const scale = opts.scale ?? 1;
+	// Combined material of the ball and an obstacle
+	const contactMaterial = (o) => combineMaterials(ballMaterial, o.material ? getMaterial(o.material) : defaultMaterial);
 
 	let { x, y, dx, dy, speed, r } = state;
+	let spin = state.spin ?? 0;
 
 	// preserve explicit velocity components across frames if present (prevents loss of vx when leaving surfaces)
 	let vx = typeof state.vx === 'number' ? state.vx : dx * speed;
@@ -42,16 +134,27 @@ export function step(state, obstacles, opts = {}) {
 	let newX = x + vxFor;
 	let newY = y + vyFor;
 
-	const hits = checkCircleCollisions(newX, newY, r, obstacles);
+	let hits = checkCircleCollisions(newX, newY, r, obstacles);
+	if (hits.length === 0) {
+		// The end position is free, but a fast ball may have passed through a thin obstacle on the way (tunneling).
+		// Stop it at the first contact instead, the rest of the step is spent on the collision response.
+		const firstContact = findFirstContact(x, y, vxFor, vyFor, r, obstacles);
+		if (firstContact) {
+			newX = firstContact.x;
+			newY = firstContact.y;
+			hits = firstContact.hits;
+		}
+	}
 
     // NEW: Determine if there is contact/collision
     const isInContact = hits.length > 0;
 
+	// Contact manifold, keyed by obstacle so a contact found again in a later solver pass is merged
+	const manifold = new Map();
+
 	if (isInContact) {
-		// pick the strongest penetration
-		if (hits.type === "rect") {
-			newY -= gravity; // revert gravity for collision resolution
-		}
+		// The strongest penetration gets the full contact response (bounce, friction, platform motion),
+		// the solver passes below then keep the ball out of every other obstacle it touches
 		hits.sort((a, b) => (b.penetration || 0) - (a.penetration || 0));
 		const h = hits[0];
 		const nx = h.nx ?? 0;
@@ -68,24 +171,15 @@ export function step(state, obstacles, opts = {}) {
 		tx /= tlen; ty /= tlen;
 
 
+		// Surface properties of this contact
+		const { restitution, tangentialFriction, tangentialRetention, grip, conveyorSpeed } = contactMaterial(h.source);
+
 		// --- START of MOVING PLATFORM COLLISION LOGIC ---
 
-		// Get obstacle velocity at the contact point (cp)
-		let obsVx = 0;
-		let obsVy = 0;
-		const o = h.source; // Get the obstacle object from the collision hit result
-
-		// Check if the obstacle is rotating (has angularVelocity property from main.mjs)
-		if (o.angularVelocity !== undefined && o.angularVelocity !== 0) {
-			// Calculate the linear velocity of the contact point (cp)
-			const dx_center = h.cp.x - o.centerX;
-			const dy_center = h.cp.y - o.centerY;
-
-			// Linear velocity vector is perpendicular to the radius vector (dx_center, dy_center)
-			// v = omega x r (2D cross product: v_x = -omega * r_y, v_y = omega * r_x)
-			obsVx = -o.angularVelocity * dy_center;
-			obsVy = o.angularVelocity * dx_center;
-		}
+		// Get obstacle velocity at the contact point (cp). A conveyor surface also moves along the tangent.
+		const obstacleVelocity = obstacleVelocityAt(h.source, h.cp);
+		const obsVx = obstacleVelocity.x + tx * conveyorSpeed * scale;
+		const obsVy = obstacleVelocity.y + ty * conveyorSpeed * scale;
 
 		// 1. Calculate the ball's velocity RELATIVE to the obstacle (without gravity)
 		const v_rel_x = vx0 - obsVx; 
@@ -101,7 +195,6 @@ export function step(state, obstacles, opts = {}) {
         const vDotN_gravity = vxFor * nx + vyFor * ny; // vxFor=vx0, vyFor=vy0+gravity
 
 		// 4. Calculate the FINAL normal velocity scalar:
-        const ENERGY_DAMPING_THRESHOLD = -0.10; 
         let new_vn_scalar;
 
 		if (vDotN_rel < ENERGY_DAMPING_THRESHOLD) { 
@@ -146,6 +239,14 @@ export function step(state, obstacles, opts = {}) {
 		
 		// Preserve some of the pre-contact relative tangential speed (retention)
 		vAlong_rel = vAlong_rel * (1 - tangentialRetention) + vDotT_rel_base * tangentialRetention; 
+
+		// 5b. Rolling: friction at the contact point works against the slip between the ball surface and the obstacle,
+		// trading sliding speed for spin and the other way round (a spinning ball kicks off when it lands).
+		// The surface of the ball moves at -spin * r along the tangent relative to its center.
+		const slip = vAlong_rel - spin * r;
+		const gripImpulse = slip * grip / (1 + BALL_INERTIA);
+		vAlong_rel -= gripImpulse * BALL_INERTIA;
+		spin += gripImpulse / r;
 		
 		// 6. The final absolute tangential speed (vAlong) is the new relative speed plus the obstacle's tangential speed.
 		let vAlong = vAlong_rel + vObsDotT;
@@ -173,6 +274,54 @@ export function step(state, obstacles, opts = {}) {
 		// set current velocity components to outgoing values so they persist into the next frame
 		vx = outVx; vy = outVy;
 
+		manifold.set(h.source, {
+			source: h.source, kind: h.kind, cp: h.cp, nx, ny, penetration: pen,
+			impulse: Math.max(0, (vx * nx + vy * ny) - vDotN_gravity),
+		});
+
+		// --- ITERATIVE SOLVER for the remaining contacts ---
+		// Each pass re-tests the corrected position, pushes the ball out of the deepest remaining overlap first and removes
+		// any velocity into an obstacle (relative to its motion). A few passes settle wedges where pushing out of one
+		// obstacle pushes the ball into another.
+		for (let pass = 0; pass < SOLVER_ITERATIONS; pass++) {
+			const passHits = checkCircleCollisions(newX, newY, r, obstacles)
+				.sort((a, b) => (b.penetration || 0) - (a.penetration || 0));
+			let corrected = false;
+
+			for (const hit of passHits) {
+				// Earlier corrections in this pass may already have resolved this contact
+				const [current] = checkCircleCollisions(newX, newY, r, [hit.source]);
+				if (!current) continue;
+				const cnx = current.nx, cny = current.ny;
+				if (cnx === 0 && cny === 0) continue;
+
+				const cpen = Math.max(0, current.penetration);
+				newX += cnx * cpen;
+				newY += cny * cpen;
+
+				const obsV = obstacleVelocityAt(current.source, current.cp);
+				const vnRel = (vx - obsV.x) * cnx + (vy - obsV.y) * cny;
+				let impulse = 0;
+				if (vnRel < 0) {
+					// Impacts bounce like the main contact, slow contacts just stop moving into the obstacle
+					impulse = vnRel < ENERGY_DAMPING_THRESHOLD ? -vnRel * (1 + contactMaterial(current.source).restitution) : -vnRel;
+					vx += cnx * impulse;
+					vy += cny * impulse;
+				}
+				if (cpen > 0 || impulse > 0) corrected = true;
+
+				const entry = manifold.get(current.source);
+				if (entry) {
+					entry.impulse += impulse;
+				} else {
+					manifold.set(current.source, {
+						source: current.source, kind: current.kind, cp: current.cp, nx: cnx, ny: cny, penetration: cpen, impulse,
+					});
+				}
+			}
+			if (!corrected) break;
+		}
+
 		const newSpeed = Math.hypot(vx, vy);
 		if (newSpeed < stopThreshold) {
 			dx = 0; dy = 0; speed = 0; vx = 0; vy = 0;
@@ -185,6 +334,7 @@ export function step(state, obstacles, opts = {}) {
 		// airborne: use vx carried forward and apply gravity to vy
 		vx = vxFor; // unchanged horizontal
 		vy = vyFor; // vertical with gravity
+		spin *= SPIN_AIR_DAMPING;
 		x = newX; y = newY;
 		const actualSpeed = Math.hypot(vx, vy);
 		if (actualSpeed < stopThreshold) {
@@ -194,5 +344,7 @@ export function step(state, obstacles, opts = {}) {
 		}
 	}
 
-	return { x, y, dx, dy, speed, vx, vy, contact: isInContact };
+	const angle = (state.angle ?? 0) + spin;
+
+	return { x, y, dx, dy, speed, vx, vy, spin, angle, contact: isInContact, contacts: [...manifold.values()] };
 }
\ No newline at end of file
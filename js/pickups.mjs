@@ -0,0 +1,69 @@
+import { registerHazard } from "./hazards.mjs";
+import { circleOverlaps } from "./collision.mjs";
+import { drawPickup } from "./draw.mjs";
+
+/**
+ * Power-up effects a pickup can grant. ticks is how long the effect lasts (collecting it again restarts the timer).
+ * - shield: absorbs one hazard hit, the hazard is destroyed instead of the ball
+ * - slowMotion: the world (ball physics and hazards) runs at timeScale
+ * - doubleJump: one extra jump in mid-air, recharged on every contact
+ * - magnet: pulls pickups towards the ball
+ * - shrink: scales the ball radius by radiusScale
+ */
+export const EFFECTS = {
+    shield: { label: "Shield", ticks: 900 },
+    slowMotion: { label: "Slow-Mo", ticks: 300, timeScale: 0.5 },
+    doubleJump: { label: "Double Jump", ticks: 600 },
+    magnet: { label: "Magnet", ticks: 600 },
+    shrink: { label: "Shrink", ticks: 480, radiusScale: 0.6 },
+};
+
+// A new pickup appears this often while none is on screen
+export const PICKUP_INTERVAL_TICKS = 480;
+// Uncollected pickups vanish after this many ticks
+const PICKUP_LIFETIME_TICKS = 600;
+// Pickup radius relative to the playfield height
+const PICKUP_RADIUS = 0.025;
+// Highest spawn point above a platform relative to the playfield height, roughly a held jump
+const PICKUP_MAX_HEIGHT = 0.2;
+// Magnet reach relative to the playfield height, and how fast it pulls (pixels per tick at scale 1)
+const MAGNET_RANGE = 0.6;
+const MAGNET_SPEED = 6;
+
+// Collectible that grants one of the EFFECTS. It floats above a random platform, within jumping reach.
+registerHazard("pickup", {
+    pickup: true,
+    spawn({ height, rng, platforms, ball }) {
+        const effectTypes = Object.keys(EFFECTS);
+        const effect = effectTypes[Math.floor(rng.next() * effectTypes.length)];
+        const platform = platforms[Math.floor(rng.next() * platforms.length)];
+        // Keep away from the platform ends, the ball rarely gets there
+        const along = 0.2 + rng.next() * 0.6;
+        const x = platform.x1 + (platform.x2 - platform.x1) * along;
+        const surfaceY = platform.y1 + (platform.y2 - platform.y1) * along;
+        const radius = height * PICKUP_RADIUS;
+        return {
+            x,
+            y: Math.max(radius, surfaceY - ball.r * 2 - radius - rng.next() * height * PICKUP_MAX_HEIGHT),
+            radius,
+            effect,
+            age: 0,
+            lifetime: PICKUP_LIFETIME_TICKS,
+        };
+    },
+    update(pickup, { height, scaleFactor, ball, effects, timeScale }) {
+        if (effects.magnet) {
+            const dx = ball.x - pickup.x, dy = ball.y - pickup.y;
+            const dist = Math.hypot(dx, dy);
+            const pull = Math.min(dist, MAGNET_SPEED * scaleFactor * timeScale);
+            if (dist > 0 && dist < height * MAGNET_RANGE) {
+                pickup.x += dx / dist * pull;
+                pickup.y += dy / dist * pull;
+            }
+        }
+        pickup.age += timeScale;
+        return pickup.age < pickup.lifetime;
+    },
+    collides: (pickup, ball) => circleOverlaps(ball, { type: "circle", x: pickup.x, y: pickup.y, radius: pickup.radius }),
+    draw: drawPickup,
+});
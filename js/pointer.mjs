@@ -0,0 +1,69 @@
+/**
+ * Manages mouse (and pen) input for rotation and jumping.
+ * Holding the primary button on the left/right half of the canvas rotates, the secondary button jumps.
+ * Touch pointers are ignored here, they are handled by TouchInputManager.
+ * @param {HTMLCanvasElement} cnv - The game canvas element.
+ * @param {function(): string} getGameState - Function to retrieve the current game state from OverlayManager.
+ * @returns {{
+ * getRotatingLeft: function(): boolean,
+ * getRotatingRight: function(): boolean,
+ * getJump: function(): boolean
+ * }} The interface for the main loop to read input state.
+ */
+export function PointerInputManager(cnv, getGameState) {
+    let rotatingLeft = false;
+    let rotatingRight = false;
+    let jump = false;
+
+    // Last known pointer position, so holding the button while moving across the middle switches direction
+    let pointerX = 0;
+    // Bitmask of held buttons (PointerEvent.buttons: 1 = primary, 2 = secondary)
+    let buttons = 0;
+
+    function updateFromPointer() {
+        if (getGameState() !== 'playing') {
+            rotatingLeft = false;
+            rotatingRight = false;
+            jump = false;
+            return;
+        }
+
+        const rect = cnv.getBoundingClientRect();
+        const onLeftHalf = (pointerX - rect.left) < rect.width / 2;
+        const primary = (buttons & 1) !== 0;
+
+        jump = (buttons & 2) !== 0;
+        rotatingLeft = primary && onLeftHalf;
+        rotatingRight = primary && !onLeftHalf;
+    }
+
+    function handlePointer(ev) {
+        if (ev.pointerType === 'touch') return;
+        pointerX = ev.clientX;
+        buttons = ev.buttons;
+        updateFromPointer();
+    }
+
+    cnv.addEventListener("pointerdown", (ev) => {
+        if (ev.pointerType === 'touch') return;
+        // Keep receiving move/up events even if the pointer leaves the canvas while held
+        cnv.setPointerCapture(ev.pointerId);
+        handlePointer(ev);
+    });
+    cnv.addEventListener("pointermove", handlePointer);
+    cnv.addEventListener("pointerup", handlePointer);
+    cnv.addEventListener("pointercancel", (ev) => {
+        if (ev.pointerType === 'touch') return;
+        buttons = 0;
+        updateFromPointer();
+    });
+
+    // The secondary button is a game control, not a context menu trigger
+    cnv.addEventListener("contextmenu", (ev) => ev.preventDefault());
+
+    return {
+        getRotatingLeft: () => rotatingLeft,
+        getRotatingRight: () => rotatingRight,
+        getJump: () => jump,
+    };
+}
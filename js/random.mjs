@@ -0,0 +1,49 @@
+/**
+ * Returns a fresh 32-bit seed for a new run.
+ * @returns {number} An unsigned 32-bit integer.
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Seedable pseudo random number generator (mulberry32).
+ * All gameplay randomness goes through an instance of this, so a run can be reproduced from its seed.
+ * @param {number} seed - 32-bit seed. The same seed always yields the same sequence.
+ * @returns {{
+ * next: function(): number,
+ * range: function(number, number): number,
+ * chance: function(number): boolean,
+ * getSeed: function(): number
+ * }}
+ */
+export function Random(seed) {
+    const initialSeed = seed >>> 0;
+    let state = initialSeed;
+
+    /**
+     * @returns {number} A float in [0, 1), drop-in replacement for Math.random().
+     */
+    function next() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} min - Inclusive lower bound.
+     * @param {number} max - Exclusive upper bound.
+     * @returns {number} A float in [min, max).
+     */
+    const range = (min, max) => min + next() * (max - min);
+
+    /**
+     * @param {number} probability - Probability of returning true (0..1).
+     * @returns {boolean}
+     */
+    const chance = (probability) => next() < probability;
+
+    return { next, range, chance, getSeed: () => initialSeed };
+}
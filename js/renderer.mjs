@@ -0,0 +1,95 @@
+import {
+    drawBall, drawPlatform, drawObstacleRect, drawObstacleShape, drawScore, drawOffscreenArrow, drawReplayBadge, drawForceField, drawFieldEvent,
+    drawEffectTimers, drawShield, drawScorePopups, drawModeStatus, drawAchievementToast
+} from "./draw.mjs";
+import { POPUP_MS } from "./utils.mjs";
+import { getHazardType } from "./hazards.mjs";
+
+// While invulnerable after a respawn the ball blinks, visible for this many ticks out of twice as many
+const BLINK_TICKS = 6;
+
+/**
+ * Interpolates every numeric field two snapshots of a hazard have in common (positions, angles, ...).
+ * @param {Object} prev - The hazard before the last tick (or the same object if it just spawned).
+ * @param {Object} curr - The hazard after the last tick.
+ * @param {number} blend - 0 = prev, 1 = curr.
+ */
+function blendHazard(prev, curr, blend) {
+    const blended = { ...curr };
+    for (const key in curr) {
+        if (typeof curr[key] === 'number' && typeof prev[key] === 'number' && key !== 'id') {
+            blended[key] = prev[key] + (curr[key] - prev[key]) * blend;
+        }
+    }
+    return blended;
+}
+
+/**
+ * Draws one frame of a GameSession, interpolating between the last two tick snapshots.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {Object} prevState - GameSession.getState() before the last tick.
+ * @param {Object} state - GameSession.getState() after the last tick.
+ * @param {number} blend - How far rendering is between prevState (0) and state (1).
+ * @param {{playing: boolean, replay: boolean, ballDesignId: number, highScore: number, adaptive: boolean,
+ * toast: ?{name: string, description: string, progress: number}}} view - Presentation settings owned by main.mjs
+ * (playing is true while a run is on screen, including when it is paused; toast is the achievement notification on screen).
+ */
+export function renderGame(ctx, prevState, state, blend, view) {
+    const lerp = (from, to) => from + (to - from) * blend;
+    const cnvWidth = ctx.canvas.width;
+
+    const drawX = lerp(prevState.x, state.x);
+    const drawY = lerp(prevState.y, state.y);
+    const drawAngle = lerp(prevState.angle, state.angle);
+    // The radius changes while the shrink power-up starts and ends
+    const r = lerp(prevState.r, state.r);
+    // Arrow size is r * 0.5
+    const arrowSize = r * 0.5;
+
+    // --- DRAWING ---
+    // Draw the level and score unconditionally, force fields go below everything else
+    state.fields.forEach(zone => drawForceField(ctx, zone, state.simTime));
+    state.rects.forEach(rect => drawObstacleRect(ctx, rect));
+    state.shapes.forEach(shape => drawObstacleShape(ctx, shape));
+    state.platforms.forEach((p1, i) => {
+        // Interpolated platform: both snapshots share the same pivot, so lerping the endpoints is enough
+        const p0 = prevState.platforms[i] || p1;
+        drawPlatform(ctx, lerp(p0.x1, p1.x1), lerp(p0.y1, p1.y1), lerp(p0.x2, p1.x2), lerp(p0.y2, p1.y2), p1.thickness, p1.material);
+    });
+    drawScore(ctx, cnvWidth, state.score, view.highScore, view.adaptive, state.multiplier);
+    if (view.replay) drawReplayBadge(ctx, cnvWidth);
+
+    // Draw hazards, power-ups and the gravity/wind event only if playing, each hazard type brings its own draw function
+    if (view.playing) {
+        // Single-life modes without a time limit have nothing to show
+        if (state.lives !== 1 || state.timeLeft !== null) drawModeStatus(ctx, cnvWidth, state.lives, state.timeLeft, view.replay);
+        drawEffectTimers(ctx, cnvWidth, state.effects);
+        drawScorePopups(ctx, state.popups, POPUP_MS, Math.max(14, r * 0.8));
+        if (state.fieldEvent) drawFieldEvent(ctx, state.fieldEvent, state.simTime);
+        state.hazards.forEach(hazard => {
+            const prev = prevState.hazards.find(h => h.id === hazard.id) || hazard;
+            getHazardType(hazard.type).draw(ctx, blendHazard(prev, hazard, blend));
+        });
+    }
+
+    // --- BALL & ARROW DRAWING ---
+    // Condition for the ENTIRE ball being off the top of the screen: y < -r.
+    const ballIsEntirelyOffScreen = drawY < -r;
+
+    if (view.playing) {
+        if (ballIsEntirelyOffScreen) {
+            // Arrow is ON, Ball is OFF (entirely off-screen)
+            drawOffscreenArrow(ctx, drawX, arrowSize);
+        } else if (!state.invulnerable || Math.floor(state.ticks / BLINK_TICKS) % 2 === 0) {
+            // Arrow is OFF, Ball is ON (partially or fully visible, drawn at true position)
+            drawBall(ctx, drawX, drawY, r, view.ballDesignId, drawAngle);
+            if (state.effects.some(effect => effect.type === "shield")) drawShield(ctx, drawX, drawY, r, state.simTime);
+        }
+    } else {
+        // Game is not playing (menu/gameover): Ball is always visible
+        drawBall(ctx, drawX, drawY, r, view.ballDesignId, drawAngle);
+    }
+
+    // Achievements unlock during play, the toast goes on top of everything
+    if (view.toast) drawAchievementToast(ctx, cnvWidth, view.toast.name, view.toast.description, view.toast.progress);
+}
@@ -0,0 +1,131 @@
+import { validateLevel } from "./level.mjs";
+import { getDifficultyPreset } from "./difficulty.mjs";
+import { getMode } from "./modes.mjs";
+
+// Bump when the replay format or anything that changes the simulation outcome changes.
+export const REPLAY_VERSION = 18;
+
+// Analog rotation is stored in steps of 1/ROTATION_STEPS, so live play and replays see identical values.
+const ROTATION_STEPS = 100;
+
+/**
+ * Quantizes raw input into the exact per-tick input the simulation consumes and a replay stores.
+ * @param {number} rotation - Rotation input, -1 (full left) .. 1 (full right).
+ * @param {boolean} jump - Whether jump is held.
+ * @returns {{rotation: number, jump: boolean}}
+ */
+export function normalizeInput(rotation, jump) {
+    return { rotation: Math.round(rotation * ROTATION_STEPS) / ROTATION_STEPS, jump: !!jump };
+}
+
+/**
+ * Records the seed and the per-tick input of a run into a compact JSON replay.
+ * Consecutive identical inputs are run-length encoded as [count, rotation, jump (0|1)].
+ * @param {number} seed - The seed of the run's Random instance.
+ * @param {{width: number, height: number, level: Object, difficulty: string, adaptive: ?{recentDeaths: number[]}, mode: string}} meta -
+ * Canvas size the run was simulated at (the layout depends on it), the level it was played on, the difficulty preset id,
+ * the adaptive mode settings (null when off) and the game mode id. The level is embedded, so a replay still works if the level file changes.
+ */
+export function ReplayRecorder(seed, meta) {
+    const inputs = [];
+    let ticks = 0;
+
+    /**
+     * Appends the input of one tick. Call exactly once per simulated tick.
+     * @param {{rotation: number, jump: boolean}} input - Normalized input (see normalizeInput).
+     */
+    function record(input) {
+        const jump = input.jump ? 1 : 0;
+        const last = inputs[inputs.length - 1];
+        if (last && last[1] === input.rotation && last[2] === jump) {
+            last[0]++;
+        } else {
+            inputs.push([1, input.rotation, jump]);
+        }
+        ticks++;
+    }
+
+    /**
+     * Builds the replay object. It is plain data and can be passed to JSON.stringify as is.
+     * @param {{score: number, cause: string}} result - How the run ended, used to detect desyncs on playback.
+     */
+    function finish(result) {
+        return {
+            version: REPLAY_VERSION,
+            seed,
+            width: meta.width,
+            height: meta.height,
+            level: meta.level,
+            difficulty: meta.difficulty,
+            adaptive: meta.adaptive || null,
+            mode: meta.mode,
+            ticks,
+            inputs: inputs.map(run => run.slice()),
+            score: result.score,
+            cause: result.cause,
+        };
+    }
+
+    return { record, finish };
+}
+
+/**
+ * Parses and validates a replay from its JSON text.
+ * @param {string} text - Replay JSON as written by ReplayRecorder.finish().
+ * @returns {Object} The replay object.
+ * @throws {Error} If the text is not a replay of the supported version.
+ */
+export function parseReplay(text) {
+    const replay = JSON.parse(text);
+    if (!replay || replay.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version: ${replay && replay.version}`);
+    }
+    if (!Number.isInteger(replay.seed) || !Array.isArray(replay.inputs) || !(replay.width > 0) || !(replay.height > 0)) {
+        throw new Error("Malformed replay");
+    }
+    validateLevel(replay.level);
+    getDifficultyPreset(replay.difficulty);
+    getMode(replay.mode);
+    if (replay.adaptive && !(Array.isArray(replay.adaptive.recentDeaths) && replay.adaptive.recentDeaths.every(Number.isFinite))) {
+        throw new Error("Malformed adaptive settings");
+    }
+    return replay;
+}
+
+/**
+ * Feeds a recorded run back into the simulation tick by tick.
+ * @param {Object} replay - A replay object (see ReplayRecorder.finish / parseReplay).
+ * @returns {{
+ * next: function(): ?{rotation: number, jump: boolean},
+ * isFinished: function(): boolean,
+ * getReplay: function(): Object
+ * }}
+ */
+export function ReplayPlayer(replay) {
+    const totalTicks = replay.inputs.reduce((sum, run) => sum + run[0], 0);
+    let runIndex = 0;
+    let usedInRun = 0;
+    let played = 0;
+
+    /**
+     * @returns {?{rotation: number, jump: boolean}} The input for the next tick, or null when the recording is exhausted.
+     */
+    function next() {
+        while (runIndex < replay.inputs.length && usedInRun >= replay.inputs[runIndex][0]) {
+            runIndex++;
+            usedInRun = 0;
+        }
+        if (runIndex >= replay.inputs.length) return null;
+
+        const [, rotation, jump] = replay.inputs[runIndex];
+        usedInRun++;
+        played++;
+        return { rotation, jump: jump === 1 };
+    }
+
+    return {
+        next,
+        isFinished: () => played >= totalTicks,
+        getReplay: () => replay,
+    };
+}
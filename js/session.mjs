@@ -0,0 +1,582 @@
+import { step } from "./physics.mjs";
+import { ScoreTracker } from "./utils.mjs";
+import { DifficultyTracker, AdaptiveDifficulty, getDifficultyPreset, curveProgress, DEFAULT_DIFFICULTY } from "./difficulty.mjs";
+import { Random } from "./random.mjs";
+import { getHazardType } from "./hazards.mjs";
+import { CLASSIC_LEVEL, buildLevel, getPlatformEndpoints } from "./level.mjs";
+import { applyFields } from "./forces.mjs";
+import { EFFECTS, PICKUP_INTERVAL_TICKS } from "./pickups.mjs";
+import { getMode, DEFAULT_MODE } from "./modes.mjs";
+
+// Fixed simulation timestep: physics constants are tuned for 60 ticks per second
+export const TICK_MS = 1000 / 60;
+
+// Reference height for physics scaling
+const SCALE_FACTOR_REF_HEIGHT = 1000;
+
+// A hazard that would have hit a ball this many times larger counts as a near-miss, once it is gone without a hit
+const NEAR_MISS_RADIUS = 2;
+
+// Bonus points before the combo multiplier (see ScoreTracker)
+const NEAR_MISS_POINTS = 3;
+const PICKUP_POINTS = 5;
+// Balancing: the outer share of a platform at each end, and points per BALANCE_TICKS spent there in contact
+const BALANCE_END_ZONE = 0.15;
+const BALANCE_TICKS = 60;
+const BALANCE_POINTS = 2;
+// Airtime: jumps or flights of at least AIRTIME_MIN_TICKS score a point per AIRTIME_TICKS_PER_POINT on landing
+const AIRTIME_MIN_TICKS = 45;
+const AIRTIME_TICKS_PER_POINT = 30;
+
+/**
+ * Where along a platform segment a point lies.
+ * @returns {number} 0 at the first end, 1 at the second.
+ */
+function alongSegment(segment, px, py) {
+    const sx = segment.x2 - segment.x1, sy = segment.y2 - segment.y1;
+    return ((px - segment.x1) * sx + (py - segment.y1) * sy) / (sx * sx + sy * sy);
+}
+
+/**
+ * Angular velocity of a platform for this tick, depending on its input binding (see level.mjs).
+ * @param {string} binding - "primary", "inverted", "auto" or "fixed".
+ * @param {number} rotation - Rotation input, -1 .. 1.
+ * @param {number} manualSpeed - Full manual rotation speed (radians per tick).
+ * @param {number} autoSpeed - Auto rotation speed when there is no input (radians per tick).
+ */
+function platformAngularVelocity(binding, rotation, manualSpeed, autoSpeed) {
+    if (binding === "fixed") return 0;
+    if (binding === "auto" || rotation === 0) {
+        // currentAutoRotationSpeed is a fixed, positive value (rotating right)
+        return binding === "inverted" ? -autoSpeed : autoSpeed;
+    }
+    // Analog input scales between 0 and the full manual speed, digital input is always +-1
+    const angularVelocity = rotation * manualSpeed;
+    return binding === "inverted" ? -angularVelocity : angularVelocity;
+}
+
+/**
+ * One run of the game, headless: ball, platforms, obstacles, hazards, power-ups, difficulty, score and the rules of the
+ * game mode (lives, time limit, see modes.mjs).
+ * It has no DOM or canvas dependency, so it runs in Node for tests and bots; the browser
+ * renderer and overlay only read getState() and listen to the callbacks.
+ * @param {{width: number, height: number, seed: number, level?: Object, difficulty?: string, adaptive?: ?{recentDeaths: number[]}, mode?: string}} options -
+ * Playfield size in pixels, the RNG seed, the level (see level.mjs, defaults to CLASSIC_LEVEL), the difficulty preset
+ * (see difficulty.mjs, defaults to normal), to turn on the adaptive mode its settings (see AdaptiveDifficulty)
+ * and the game mode (see modes.mjs, defaults to endless).
+ * @param {{
+ * onJump?: function({airJump: boolean}): void,
+ * onLanded?: function({airTicks: number, impactSpeed: number}): void,
+ * onHazardSpawned?: function(Object): void,
+ * onNearMiss?: function(Object): void,
+ * onPickup?: function({effect: string}): void,
+ * onShieldBreak?: function(Object): void,
+ * onBonus?: function({category: string, points: number}): void,
+ * onLifeLost?: function({lives: ?number, cause: string}): void,
+ * onGameOver?: function({score: number, cause: string, adaptive: boolean, breakdown: Object<string, number>}): void
+ * }} [callbacks] - Optional event callbacks.
+ * @returns {{
+ * tick: function({rotation: number, jump: boolean}): void,
+ * quit: function(): void,
+ * getState: function(): Object,
+ * resize: function(number, number): void,
+ * isOver: function(): boolean
+ * }}
+ */
+export function GameSession(options, callbacks = {}) {
+    const rng = Random(options.seed);
+    const level = options.level || CLASSIC_LEVEL;
+    const scoreTracker = ScoreTracker();
+    // A level may bring its own hazard schedule, otherwise the preset's applies
+    const profile = getDifficultyPreset(options.difficulty || DEFAULT_DIFFICULTY);
+    const difficulty = DifficultyTracker(profile, level.hazards || profile.hazards);
+    const modeId = options.mode || DEFAULT_MODE;
+    const mode = getMode(modeId);
+    // Adaptive runs are flagged in the game over result and the state, so their scores can be kept apart
+    const adaptive = options.adaptive ? AdaptiveDifficulty(options.adaptive) : null;
+
+    /**
+     * @returns {Object} The difficulty of this tick, nudged by the adaptive mode if it is on.
+     */
+    function currentDifficulty() {
+        return adaptive ? adaptive.apply(difficulty.getState()) : difficulty.getState();
+    }
+
+    let width, height;
+    // Physics scaling factor, updated on resize
+    let scaleFactor = 1.0;
+
+    // Level geometry in pixels, rebuilt when the playfield size changes
+    let layout;
+    // Rotation of each platform from its start pose
+    const platformAngles = level.platforms.map(() => 0);
+
+    // Ball radius, and the radius before effects (shrink) that follows the playfield size
+    let r;
+    let baseRadius;
+    let speed = 3; // overall speed factor
+    let dx = 0;
+    let dy = 0;
+    let x = null;
+    let y = null;
+    let vx = 0; // Velocity components
+    let vy = 0; // Velocity components
+    let spin = 0; // Angular velocity of the ball (radians per tick, positive = clockwise)
+    let angle = 0; // Accumulated rotation of the ball, the renderer rolls the design by it
+
+    // Jump state, tuned by profile.jump: ticks left to use a buffered press, of the coyote window
+    // and of the hold boost, plus whether the input was held last tick (a press is a new hold)
+    let jumpBufferTicks = 0;
+    let coyoteTicks = profile.jump.coyoteTicks + 1;
+    let jumpBoostTicks = 0;
+    let jumpHeld = false;
+    // Contact manifold of the last tick: {id, x, y, nx, ny, impulse} per touched obstacle (see physics.step)
+    let contacts = [];
+
+    // Active hazards (lasers, beams, orbs, ... see hazards.mjs)
+    let hazards = [];
+    // Hazards get a stable id so renderers can match them across snapshots
+    let nextHazardId = 1;
+    // Simulated time of the run in ms, advances by exactly TICK_MS per tick
+    let simTime = 0;
+    let ticks = 0;
+    // Hazards that passed close to the ball without hitting it
+    let nearMisses = 0;
+    // Active power-ups: effect type (see pickups.mjs) -> ticks left
+    let effects = {};
+    // Whether the double jump power-up still has its mid-air jump, recharged on contact
+    let airJumpReady = true;
+    let nextPickupTick = PICKUP_INTERVAL_TICKS;
+    // Consecutive ticks balanced at a platform end, and airborne
+    let balanceTicks = 0;
+    let airTicks = 0;
+    // Timer for hazard spawning, on a clock of its own that runs slower in slow motion like the hazards
+    let hazardTime = 0;
+    let nextLaserSpawnTime = hazardTime + currentDifficulty().laserSpawnInterval * mode.spawnIntervalScale;
+
+    // Lives left (null = unlimited) and the ticks left of the invulnerability after a respawn
+    let lives = mode.lives;
+    let invulnerableTicks = 0;
+    // Tick at which the mode's time limit runs out
+    const lastTick = mode.timeLimit === null ? Infinity : Math.round(mode.timeLimit * 1000 / TICK_MS);
+
+    // Set once the run has ended ('laser', 'ground' or 'timeUp')
+    let cause = null;
+
+    /**
+     * Current surface of a platform: hazards with a platformMaterial (e.g. frost) coat every platform while they are active.
+     * @param {Object} platform - One entry of layout.platforms.
+     * @returns {string} Material name (see materials.mjs).
+     */
+    function platformMaterial(platform) {
+        const coating = hazards.find(hazard => hazard.platformMaterial);
+        return coating ? coating.platformMaterial : platform.material;
+    }
+
+    /**
+     * Sets the playfield size and recomputes everything that depends on it.
+     * Before the first tick the ball is (re)placed on the level's spawn point.
+     * @param {number} newWidth - Playfield width in pixels.
+     * @param {number} newHeight - Playfield height in pixels.
+     */
+    function resize(newWidth, newHeight) {
+        width = newWidth;
+        height = newHeight;
+        scaleFactor = height / SCALE_FACTOR_REF_HEIGHT;
+        baseRadius = Math.max(15, height / 18);
+        r = ballRadius();
+        layout = buildLevel(level, width, height);
+        // ensure ball stays on the spawn point until the run starts
+        if (ticks === 0) {
+            x = layout.spawn.x;
+            y = layout.spawn.y - r;
+            // Ensure initial velocity is zero to let gravity take over smoothly
+            vx = 0;
+            vy = 0;
+        }
+    }
+
+    /**
+     * @returns {number} Ball radius with the active effects applied.
+     */
+    function ballRadius() {
+        return effects.shrink ? baseRadius * EFFECTS.shrink.radiusScale : baseRadius;
+    }
+
+    /**
+     * Grants a power-up, or restarts its timer if it is already active.
+     * @param {string} effect - Effect type (see EFFECTS).
+     */
+    function collect(effect) {
+        effects[effect] = EFFECTS[effect].ticks;
+        if (callbacks.onPickup) callbacks.onPickup({ effect });
+        bonus("pickup", PICKUP_POINTS);
+    }
+
+    /**
+     * Awards bonus points with a popup above the ball.
+     * @param {string} category - Bonus category (see SCORE_CATEGORIES).
+     * @param {number} points - Points before the combo multiplier.
+     * @param {boolean} [buildsCombo=true] - Whether the bonus raises the combo (see ScoreTracker.award).
+     */
+    function bonus(category, points, buildsCombo = true) {
+        const gained = scoreTracker.award(category, points * mode.bonusScale, simTime, x, y - r, buildsCombo);
+        if (callbacks.onBonus) callbacks.onBonus({ category, points: gained });
+    }
+
+    /**
+     * Takes a life. With lives left the ball respawns on the spawn point with level platforms, the hazards on screen
+     * are cleared and it is invulnerable for a moment; otherwise the run is over.
+     * @param {'laser'|'ground'} reason - What took the life.
+     */
+    function loseLife(reason) {
+        if (lives !== null) lives--;
+        if (lives === 0) {
+            gameOver(reason);
+            return;
+        }
+        x = layout.spawn.x;
+        y = layout.spawn.y - r;
+        vx = 0; vy = 0; dx = 0; dy = 0; spin = 0;
+        platformAngles.fill(0);
+        hazards = hazards.filter(hazard => getHazardType(hazard.type).pickup);
+        invulnerableTicks = mode.invulnerableTicks;
+        coyoteTicks = profile.jump.coyoteTicks + 1;
+        airTicks = 0;
+        balanceTicks = 0;
+        if (callbacks.onLifeLost) callbacks.onLifeLost({ lives, cause: reason });
+    }
+
+    /**
+     * Ends the run. Further ticks are ignored.
+     * @param {'laser'|'ground'|'timeUp'|'quit'} reason - Why the run ended.
+     */
+    function gameOver(reason) {
+        if (cause) return;
+        cause = reason;
+        if (callbacks.onGameOver) {
+            callbacks.onGameOver({ score: scoreTracker.getScore(), cause, adaptive: !!adaptive, breakdown: scoreTracker.getBreakdown() });
+        }
+    }
+
+    /**
+     * Advances the run by one fixed tick of TICK_MS: difficulty, score, input, physics, rotation and hazards.
+     * Everything in here is measured in ticks or simTime, never in wall-clock time, so a run plays out
+     * the same regardless of the display refresh rate.
+     * @param {{rotation: number, jump: boolean}} input - Input for this tick (see normalizeInput in replay.mjs).
+     */
+    function tick(input) {
+        if (cause) return;
+        ticks++;
+        simTime += TICK_MS;
+
+        // --- DIFFICULTY/SCORE LOGIC (Modularized) ---
+        difficulty.update(simTime);
+        const difficultyState = currentDifficulty();
+        const {
+            currentMaxSpeed, currentManualRotationSpeed, currentAutoRotationSpeed,
+            laserSpawnInterval, hazardTypes, fieldEvent
+        } = difficultyState;
+
+        scoreTracker.update(simTime);
+
+        const rotation = input.rotation; // -1 (left) .. 1 (right), analog for gamepads
+        // Slow motion slows the ball and the hazards, the platforms still follow the input at full speed
+        const timeScale = effects.slowMotion ? EFFECTS.slowMotion.timeScale : 1;
+        hazardTime += TICK_MS * timeScale;
+
+        // Shrinking and growing back keep the bottom of the ball where it is, so it doesn't sink into a platform
+        const radius = ballRadius();
+        y -= radius - r;
+        r = radius;
+
+        // Platforms at their current rotation, each with the angular velocity it moves at this tick
+        const platformObstacles = layout.platforms.map((platform, i) => {
+            const wanted = platformAngularVelocity(platform.input, rotation, currentManualRotationSpeed, currentAutoRotationSpeed);
+            // Respect rotation limits: only rotate as far as the limit allows, so contact velocities stay honest
+            const target = Math.max(platform.minAngle, Math.min(platform.maxAngle, platformAngles[i] + wanted));
+            return {
+                type: "segment", id: `platform-${i}`,
+                ...getPlatformEndpoints(platform, platformAngles[i]), thickness: platform.thickness,
+                material: platformMaterial(platform),
+                centerX: platform.centerX,
+                centerY: platform.centerY,
+                angularVelocity: target - platformAngles[i]
+            };
+        });
+
+        const obstacles = [...platformObstacles, ...layout.rects, ...layout.shapes];
+
+        // 1. APPLY JUMP/PUSH LOGIC:
+        const jumpTuning = profile.jump;
+        // Holding the input after a jump keeps pushing upwards until the cap or the peak
+        if (jumpBoostTicks > 0) {
+            if (input.jump && vy < 0) {
+                vy -= jumpTuning.holdBoost * scaleFactor;
+                jumpBoostTicks--;
+            } else {
+                jumpBoostTicks = 0;
+            }
+        }
+        // A press is remembered for a few ticks, so pressing just before landing still jumps
+        if (input.jump && !jumpHeld) jumpBufferTicks = jumpTuning.bufferTicks + 1;
+        jumpHeld = input.jump;
+
+        // The double jump power-up allows one more jump once the coyote window is over
+        const airJump = coyoteTicks === 0 && effects.doubleJump && airJumpReady;
+        if (jumpBufferTicks > 0 && (coyoteTicks > 0 || airJump)) {
+            // Scale the jump strength
+            const scaledJumpStrengthY = -jumpTuning.strength * scaleFactor;
+
+            // Add the impulse to the existing vertical velocity (vy)
+            if(dy > 0) {vy = scaledJumpStrengthY; }
+            else { vy += scaledJumpStrengthY; }
+            jumpBufferTicks = 0;
+            if (airJump) airJumpReady = false;
+            coyoteTicks = 0;
+            jumpBoostTicks = jumpTuning.holdTicks;
+            if (callbacks.onJump) callbacks.onJump({ airJump });
+        } else if (jumpBufferTicks > 0) {
+            jumpBufferTicks--;
+        }
+
+        // 1b. FORCE FIELDS: the level's zones plus the current gravity/wind event
+        const field = applyFields(layout.fields, x, y, scaleFactor);
+        const gravityScale = field.gravityScale * (fieldEvent ? fieldEvent.gravityScale : 1);
+        vx += (field.ax + (fieldEvent ? fieldEvent.windX * scaleFactor : 0)) * timeScale;
+        vy += field.ay * timeScale;
+
+        // 2. Perform physics step with current state, including vx/vy.
+        // In slow motion the step sees the distance the ball covers this tick, so velocities scale with timeScale and
+        // accelerations with its square; the results are scaled back to full-speed velocities.
+        const physicsResult = step(
+            { x, y, dx, dy, speed: speed * timeScale, r, vx: vx * timeScale, vy: vy * timeScale, spin: spin * timeScale, angle },
+            obstacles,
+            // Pass the scaleFactor to the physics step function
+            {
+                gravity: 0.2 * scaleFactor * gravityScale * timeScale * timeScale, friction: 0.995, bounds: { width, height },
+                stopThreshold: 0.05 * scaleFactor * timeScale, scale: scaleFactor * timeScale
+            }
+        );
+
+        // 3. Update state from physics result
+        const contact = physicsResult.contact; // Get contact status directly from physics
+        // What the ball touched this tick and how hard, for effects
+        contacts = physicsResult.contacts.map(c => ({
+            id: c.source.id, x: c.cp.x, y: c.cp.y, nx: c.nx, ny: c.ny, impulse: c.impulse / timeScale,
+        }));
+
+        // Extract updated position and velocity variables
+        ({ x, y, dx, dy, angle } = physicsResult);
+        speed = physicsResult.speed / timeScale;
+        vx = physicsResult.vx / timeScale;
+        vy = physicsResult.vy / timeScale;
+        spin = physicsResult.spin / timeScale;
+
+        // 4. Update velocity vectors from the returned speed/direction.
+        if (speed < 0.05 * scaleFactor) { // Scale the minimum speed check
+            vx = 0;
+            vy = 0;
+        } else {
+            speed = Math.hypot(vx, vy);
+            dx = vx / speed;
+            dy = vy / speed;
+        }
+
+        // Scale the maximum allowed speed by the screen scale factor.
+        const scaledMaxSpeed = currentMaxSpeed * scaleFactor;
+
+        // Max Speed Check - Use scaledMaxSpeed
+        const totalVelocity = Math.hypot(vx, vy);
+        if (totalVelocity > scaledMaxSpeed) {
+            const ratio = scaledMaxSpeed / totalVelocity;
+            vx *= ratio;
+            vy *= ratio;
+            // Update speed, dx, dy after clamping
+            speed = scaledMaxSpeed;
+            dx = vx / speed;
+            dy = vy / speed;
+        }
+
+        // 5. JUMP PERMISSION LOGIC: contact allows a jump, which stays possible for a short coyote window after leaving
+        coyoteTicks = contact ? jumpTuning.coyoteTicks + 1 : Math.max(0, coyoteTicks - 1);
+        if (contact) airJumpReady = true;
+
+        // 6. STYLE BONUSES: long flights pay out on landing, balancing at a platform end pays out every BALANCE_TICKS
+        if (contact) {
+            if (airTicks > 0 && callbacks.onLanded) {
+                // Speed into the surface along the contact normal, of the hardest contact (pixels per tick at scale 1)
+                callbacks.onLanded({ airTicks, impactSpeed: Math.max(0, ...contacts.map(c => c.impulse)) / scaleFactor });
+            }
+            if (airTicks >= AIRTIME_MIN_TICKS) bonus("airtime", Math.floor(airTicks / AIRTIME_TICKS_PER_POINT));
+            airTicks = 0;
+        } else {
+            airTicks++;
+        }
+        const atPlatformEnd = physicsResult.contacts.some(c => {
+            if (!platformObstacles.includes(c.source)) return false;
+            const along = alongSegment(c.source, c.cp.x, c.cp.y);
+            return along < BALANCE_END_ZONE || along > 1 - BALANCE_END_ZONE;
+        });
+        balanceTicks = atPlatformEnd ? balanceTicks + 1 : 0;
+        if (balanceTicks > 0 && balanceTicks % BALANCE_TICKS === 0) bonus("balance", BALANCE_POINTS, false);
+
+        // --- HAZARD LOGIC ---
+        const hazardContext = {
+            width, height, scaleFactor, rng,
+            difficulty: difficultyState,
+            ball: { x, y, r },
+            platforms: platformObstacles,
+            effects,
+            timeScale,
+        };
+
+        // Spawn a new hazard of one of the unlocked types
+        if (mode.hazards && hazardTime >= nextLaserSpawnTime && hazardTypes.length > 0) {
+            // Only draw a type when there is a choice, so the random sequence of laser-only runs stays the same
+            const type = hazardTypes.length > 1 ? hazardTypes[Math.floor(rng.next() * hazardTypes.length)] : hazardTypes[0];
+            const hazard = { id: nextHazardId++, type, ...getHazardType(type).spawn(hazardContext) };
+            hazards.push(hazard);
+            if (callbacks.onHazardSpawned) callbacks.onHazardSpawned({ ...hazard });
+
+            nextLaserSpawnTime = hazardTime + laserSpawnInterval * mode.spawnIntervalScale;
+        }
+
+        // Power-up pickups share the hazard list, at most one waits to be collected at a time
+        if (ticks >= nextPickupTick) {
+            if (!hazards.some(hazard => hazard.type === "pickup")) {
+                const pickup = { id: nextHazardId++, type: "pickup", ...getHazardType("pickup").spawn(hazardContext) };
+                hazards.push(pickup);
+                if (callbacks.onHazardSpawned) callbacks.onHazardSpawned({ ...pickup });
+            }
+            nextPickupTick = ticks + PICKUP_INTERVAL_TICKS;
+        }
+
+        // Move hazards and check for collision
+        let hitByLaser = false;
+        let tickNearMisses = 0;
+        hazards = hazards.filter(hazard => {
+            const definition = getHazardType(hazard.type);
+            const alive = definition.update(hazard, hazardContext);
+
+            // Check Collision
+            if (definition.collides(hazard, hazardContext.ball)) {
+                if (definition.pickup) {
+                    collect(hazard.effect);
+                    return false;
+                }
+                // A hazard that touched the ball never counts as a near-miss, even if a shield or invulnerability saved it
+                hazard.hit = true;
+                // A shield takes the hit and destroys the hazard
+                if (effects.shield) {
+                    delete effects.shield;
+                    if (callbacks.onShieldBreak) callbacks.onShieldBreak({ ...hazard });
+                    return false;
+                }
+                // Just respawned: hazards pass through the ball
+                if (invulnerableTicks > 0) return alive;
+                hitByLaser = true;
+                // Keep the hazard for one frame to be drawn at collision point
+                return true;
+            }
+            // Each hazard is flagged at most once when it comes close, it may still hit the ball on a later tick
+            if (!definition.pickup && !hazard.closePass && definition.collides(hazard, { x, y, r: r * NEAR_MISS_RADIUS })) {
+                hazard.closePass = true;
+            }
+
+            // Remove hazards that left the screen or expired, one that came close without hitting was a near-miss
+            if (!alive && hazard.closePass && !hazard.hit) {
+                tickNearMisses++;
+                if (callbacks.onNearMiss) callbacks.onNearMiss({ ...hazard });
+                bonus("nearMiss", NEAR_MISS_POINTS);
+            }
+            return alive;
+        });
+
+        nearMisses += tickNearMisses;
+
+        // Power-up timers run in real ticks, also in slow motion
+        for (const effect in effects) {
+            if (--effects[effect] <= 0) delete effects[effect];
+        }
+        if (invulnerableTicks > 0) invulnerableTicks--;
+        if (adaptive) adaptive.observe({ nearMisses: tickNearMisses, airborne: !contact, offScreen: y + r < 0 });
+
+        // a life is lost if the ball touches the ground (bottom of the playfield)
+        const groundY = height - r;
+        const touchedGround = y >= groundY;
+        if (x + r > width || x - r < 0) vx *= -1;
+
+        // ROTATION: Use the pre-calculated angular velocities to update the platform angles
+        platformObstacles.forEach((obstacle, i) => { platformAngles[i] += obstacle.angularVelocity; });
+
+        // The mode decides what a hit or a fall means, after the tick so a respawn starts from a clean state
+        if (hitByLaser) {
+            loseLife('laser');
+        } else if (touchedGround) {
+            loseLife('ground');
+        }
+        if (ticks >= lastTick) gameOver('timeUp');
+    }
+
+    /**
+     * Returns a snapshot of everything needed to render or inspect the run.
+     * The snapshot is a copy, mutating it does not affect the session.
+     */
+    function getState() {
+        const { fieldEvent } = difficulty.getState();
+        return {
+            width, height,
+            x, y, r, vx, vy, spin, angle,
+            canJump: coyoteTicks > 0,
+            platforms: layout.platforms.map((platform, i) => ({
+                ...getPlatformEndpoints(platform, platformAngles[i]),
+                thickness: platform.thickness,
+                angle: platformAngles[i],
+                material: platformMaterial(platform),
+            })),
+            rects: layout.rects.map(rect => ({ ...rect })),
+            shapes: layout.shapes.map(shape => ({ ...shape })),
+            contacts: contacts.map(c => ({ ...c })),
+            fields: layout.fields.map(zone => ({ ...zone })),
+            fieldEvent: fieldEvent && { ...fieldEvent },
+            hazards: hazards.map(hazard => ({ ...hazard })),
+            score: scoreTracker.getScore(),
+            // How far the difficulty has ramped up (0..1), none in modes without hazards. Measured on the spawn interval
+            // the adaptive mode nudged, so it rises and falls with it
+            intensity: mode.hazards ? curveProgress(profile.curves.laserSpawnInterval, currentDifficulty().laserSpawnInterval) : 0,
+            mode: modeId,
+            lives,
+            // Seconds left in a timed mode, null without a time limit
+            timeLeft: lastTick === Infinity ? null : Math.max(0, (lastTick - ticks) * TICK_MS / 1000),
+            invulnerable: invulnerableTicks > 0,
+            // Points per category, the combo multiplier and the floating popups of recent bonuses
+            breakdown: scoreTracker.getBreakdown(),
+            multiplier: scoreTracker.getMultiplier(),
+            popups: scoreTracker.getPopups(),
+            nearMisses,
+            // Active power-ups with their label and time left (seconds and share of the full duration)
+            effects: Object.keys(effects).map(type => ({
+                type,
+                label: EFFECTS[type].label,
+                remaining: effects[type] * TICK_MS / 1000,
+                fraction: effects[type] / EFFECTS[type].ticks,
+            })),
+            adaptive: !!adaptive,
+            simTime, ticks,
+            over: cause !== null,
+            cause,
+        };
+    }
+
+    resize(options.width, options.height);
+    difficulty.reset(simTime);
+    scoreTracker.start(simTime);
+
+    return {
+        tick,
+        // Ends the run at the player's request, e.g. a Zen run that has no other end
+        quit: () => gameOver('quit'),
+        getState, resize, isOver: () => cause !== null,
+    };
+}
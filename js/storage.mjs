@@ -0,0 +1,324 @@
+import { DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY } from "./difficulty.mjs";
+import { getModes, DEFAULT_MODE } from "./modes.mjs";
+import { emptyAchievementProgress } from "./achievements.mjs";
+import { DEFAULT_AUDIO_SETTINGS } from "./audio.mjs";
+
+// Key under which the whole save game is stored as one JSON document.
+const STORAGE_KEY = "ballancier.save";
+
+// Bump when the shape of the saved data changes and add a migration below.
+const SCHEMA_VERSION = 5;
+
+// Runs kept per leaderboard
+export const LEADERBOARD_SIZE = 10;
+
+/**
+ * Returns a fresh save game with default values for the current schema.
+ * @returns {{version: number, highScores: Object<string, number>, leaderboards: Object<string, Array<Object>>, playerName: string,
+ * achievements: Object, audio: {master: number, music: number, sfx: number, muted: boolean}, difficulty: string, adaptive: boolean, mode: string, ballDesignId: number, unlockedDesigns: number[]}}
+ */
+function defaultData() {
+    return {
+        version: SCHEMA_VERSION,
+        highScores: {}, // Best score per difficulty preset
+        leaderboards: {}, // Best runs per difficulty preset, same keys as highScores
+        playerName: "", // Last name entered for the leaderboard
+        achievements: emptyAchievementProgress(), // Unlocks and stats (see AchievementTracker)
+        audio: { ...DEFAULT_AUDIO_SETTINGS }, // Volumes and mute (see AudioEngine)
+        difficulty: DEFAULT_DIFFICULTY,
+        adaptive: false, // Adaptive difficulty mode (see AdaptiveDifficulty)
+        mode: DEFAULT_MODE, // Game mode (see modes.mjs)
+        ballDesignId: 0,
+        unlockedDesigns: [0], // Design 0 is always unlocked
+    };
+}
+
+/**
+ * Migrations keyed by the version they upgrade FROM. Each one returns data for version + 1.
+ * Version 0 is anything saved without a version field.
+ */
+const MIGRATIONS = {
+    0: (data) => ({ highScore: 0, ballDesignId: 0, unlockedDesigns: [0], ...data, version: 1 }),
+    // High scores became per difficulty, all earlier runs were played on what is now "normal"
+    1: ({ highScore, ...data }) => ({ ...data, highScores: { normal: highScore || 0 }, difficulty: DEFAULT_DIFFICULTY, version: 2 }),
+    // Leaderboards start empty, the high scores have no names or dates to fill them with
+    2: (data) => ({ ...data, leaderboards: {}, playerName: "", version: 3 }),
+    // Achievements count from now on, earlier runs left no stats behind
+    3: (data) => ({ ...data, achievements: emptyAchievementProgress(), version: 4 }),
+    // Sound arrived with this version, earlier saves get the default volumes
+    4: (data) => ({ ...data, audio: { ...DEFAULT_AUDIO_SETTINGS }, version: 5 }),
+};
+
+/**
+ * Upgrades saved data step by step until it matches SCHEMA_VERSION.
+ * @param {Object} data - Parsed save data of any known version.
+ * @returns {Object} The data in the current schema.
+ */
+function migrate(data) {
+    let version = Number.isInteger(data.version) ? data.version : 0;
+    while (version < SCHEMA_VERSION) {
+        const migration = MIGRATIONS[version];
+        if (!migration) {
+            console.warn(`No save migration from version ${version}, starting fresh.`);
+            return defaultData();
+        }
+        data = migration(data);
+        version = data.version;
+    }
+    return data;
+}
+
+/**
+ * Minimal in-memory stand-in with the part of the Web Storage interface used here.
+ * Used when localStorage is missing or throws (private browsing, disabled cookies, file:// in some browsers).
+ */
+function MemoryBackend() {
+    const items = new Map();
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: (key) => { items.delete(key); },
+    };
+}
+
+/**
+ * Returns localStorage if it can actually be written to, otherwise an in-memory backend.
+ */
+function createBackend() {
+    try {
+        const probe = STORAGE_KEY + ".probe";
+        window.localStorage.setItem(probe, probe);
+        window.localStorage.removeItem(probe);
+        return window.localStorage;
+    } catch (e) {
+        return MemoryBackend();
+    }
+}
+
+/**
+ * Persists the high scores, the leaderboards, the achievement progress, the audio settings, the selected difficulty, adaptive mode, game mode and ball design and the unlocked designs across sessions.
+ * @param {{getItem: function(string): ?string, setItem: function(string, string): void}} [backend] - Storage backend, defaults to localStorage with an in-memory fallback.
+ */
+export function GameStorage(backend = createBackend()) {
+    let data = load();
+
+    /**
+     * Reads and migrates the save game, falling back to defaults if it is missing or corrupt.
+     */
+    function load() {
+        try {
+            const raw = backend.getItem(STORAGE_KEY);
+            if (!raw) return defaultData();
+            const parsed = JSON.parse(raw);
+            if (!parsed || typeof parsed !== 'object') return defaultData();
+            // Fill in anything a hand-edited or partial save is missing
+            return { ...defaultData(), ...migrate(parsed) };
+        } catch (e) {
+            console.warn("Could not read save data, starting fresh.", e);
+            return defaultData();
+        }
+    }
+
+    function save() {
+        try {
+            backend.setItem(STORAGE_KEY, JSON.stringify(data));
+        } catch (e) {
+            // Quota exceeded or storage revoked mid-session: keep playing with what is in memory
+            console.warn("Could not write save data.", e);
+        }
+    }
+
+    /**
+     * Every game mode and the adaptive mode get their own board per preset, so scores are only compared under the same rules.
+     * Endless keeps the plain preset id, the key high scores had before there were modes.
+     * @param {string} difficulty - Difficulty preset id.
+     * @param {boolean} adaptive - Whether the run used the adaptive mode.
+     * @param {string} mode - Game mode id.
+     * @returns {string} Key in data.highScores, e.g. "hard-timeAttack-adaptive".
+     */
+    const highScoreKey = (difficulty, adaptive, mode) =>
+        [difficulty, mode !== DEFAULT_MODE && mode, adaptive && "adaptive"].filter(Boolean).join("-");
+
+    /**
+     * @param {string} difficulty - Difficulty preset id.
+     * @param {boolean} [adaptive=false] - Whether to read the adaptive mode's board.
+     * @param {string} [mode=DEFAULT_MODE] - Game mode id.
+     * @returns {number} The best score ever reached on that difficulty.
+     */
+    const getHighScore = (difficulty, adaptive = false, mode = DEFAULT_MODE) =>
+        data.highScores[highScoreKey(difficulty, adaptive, mode)] || 0;
+
+    /**
+     * Stores a new high score for a difficulty. Lower scores are ignored, so this is safe to call every frame.
+     * @param {string} difficulty - Difficulty preset id.
+     * @param {number} score - The candidate high score.
+     * @param {boolean} [adaptive=false] - Whether the score was reached in the adaptive mode.
+     * @param {string} [mode=DEFAULT_MODE] - Game mode id.
+     */
+    const setHighScore = (difficulty, score, adaptive = false, mode = DEFAULT_MODE) => {
+        if (score <= getHighScore(difficulty, adaptive, mode)) return;
+        data.highScores[highScoreKey(difficulty, adaptive, mode)] = score;
+        save();
+    };
+
+    /**
+     * @param {string} difficulty - Difficulty preset id.
+     * @param {boolean} [adaptive=false] - Whether to read the adaptive mode's board.
+     * @param {string} [mode=DEFAULT_MODE] - Game mode id.
+     * @returns {Array<{name: string, score: number, date: number, duration: number, cause: string}>} The best runs, highest
+     * score first (date in ms since the epoch, duration in seconds).
+     */
+    const getLeaderboard = (difficulty, adaptive = false, mode = DEFAULT_MODE) =>
+        (data.leaderboards[highScoreKey(difficulty, adaptive, mode)] || []).map(entry => ({ ...entry }));
+
+    /**
+     * @param {string} difficulty - Difficulty preset id.
+     * @param {boolean} adaptive - Whether the run used the adaptive mode.
+     * @param {string} mode - Game mode id.
+     * @param {number} score - Final score of the run.
+     * @returns {boolean} Whether a run with this score would make it onto the leaderboard.
+     */
+    const qualifiesForLeaderboard = (difficulty, adaptive, mode, score) => {
+        const entries = getLeaderboard(difficulty, adaptive, mode);
+        return score > 0 && (entries.length < LEADERBOARD_SIZE || score > entries[entries.length - 1].score);
+    };
+
+    /**
+     * Adds a run to its leaderboard. Ties rank below the runs that were there first.
+     * @param {string} difficulty - Difficulty preset id.
+     * @param {boolean} adaptive - Whether the run used the adaptive mode.
+     * @param {string} mode - Game mode id.
+     * @param {{name: string, score: number, date: number, duration: number, cause: string}} entry - The run.
+     * @returns {number} The rank of the run (0 = first), -1 if it did not qualify.
+     */
+    const addLeaderboardEntry = (difficulty, adaptive, mode, entry) => {
+        if (!qualifiesForLeaderboard(difficulty, adaptive, mode, entry.score)) return -1;
+        const entries = getLeaderboard(difficulty, adaptive, mode);
+        let rank = entries.findIndex(other => entry.score > other.score);
+        if (rank === -1) rank = entries.length;
+        entries.splice(rank, 0, { ...entry });
+        data.leaderboards[highScoreKey(difficulty, adaptive, mode)] = entries.slice(0, LEADERBOARD_SIZE);
+        save();
+        return rank;
+    };
+
+    /**
+     * @returns {string} The name last entered for the leaderboard, empty if none yet.
+     */
+    const getPlayerName = () => data.playerName;
+
+    /**
+     * @param {string} name - The name to suggest for the next leaderboard entry.
+     */
+    const setPlayerName = (name) => {
+        if (name === data.playerName) return;
+        data.playerName = name;
+        save();
+    };
+
+    /**
+     * @returns {{unlocked: Object<string, number>, best: Object<string, number>, totals: Object<string, number>}} Unlocked
+     * achievements and the stats towards the others (see AchievementTracker).
+     */
+    const getAchievementProgress = () => JSON.parse(JSON.stringify(data.achievements));
+
+    /**
+     * @param {Object} progress - AchievementTracker.getProgress().
+     */
+    const setAchievementProgress = (progress) => {
+        data.achievements = progress;
+        save();
+    };
+
+    /**
+     * @returns {{master: number, music: number, sfx: number, muted: boolean}} Volumes (0..1) and mute.
+     */
+    const getAudioSettings = () => ({ ...DEFAULT_AUDIO_SETTINGS, ...data.audio });
+
+    /**
+     * @param {{master: number, music: number, sfx: number, muted: boolean}} settings - The new volumes and mute.
+     */
+    const setAudioSettings = (settings) => {
+        data.audio = { ...settings };
+        save();
+    };
+
+    /**
+     * @returns {string} The id of the last selected difficulty preset, the default if that preset no longer exists.
+     */
+    const getDifficulty = () => DIFFICULTY_PRESETS[data.difficulty] ? data.difficulty : DEFAULT_DIFFICULTY;
+
+    /**
+     * @param {string} difficulty - The newly selected difficulty preset id.
+     */
+    const setDifficulty = (difficulty) => {
+        if (difficulty === data.difficulty) return;
+        data.difficulty = difficulty;
+        save();
+    };
+
+    /**
+     * @returns {string} The id of the last selected game mode, the default if that mode no longer exists.
+     */
+    const getGameMode = () => getModes().some(mode => mode.id === data.mode) ? data.mode : DEFAULT_MODE;
+
+    /**
+     * @param {string} mode - The newly selected game mode id.
+     */
+    const setGameMode = (mode) => {
+        if (mode === data.mode) return;
+        data.mode = mode;
+        save();
+    };
+
+    /**
+     * @returns {boolean} Whether the adaptive difficulty mode is on.
+     */
+    const getAdaptive = () => data.adaptive;
+
+    /**
+     * @param {boolean} adaptive - Turns the adaptive difficulty mode on or off.
+     */
+    const setAdaptive = (adaptive) => {
+        if (adaptive === data.adaptive) return;
+        data.adaptive = adaptive;
+        save();
+    };
+
+    /**
+     * @returns {number} The ID of the last selected ball design.
+     */
+    const getBallDesignId = () => data.ballDesignId;
+
+    /**
+     * @param {number} designId - The newly selected ball design.
+     */
+    const setBallDesignId = (designId) => {
+        if (designId === data.ballDesignId) return;
+        data.ballDesignId = designId;
+        save();
+    };
+
+    /**
+     * @param {number} designId - The ball design to check.
+     * @returns {boolean} True if the design has been unlocked at some point.
+     */
+    const isDesignUnlocked = (designId) => data.unlockedDesigns.includes(designId);
+
+    /**
+     * Marks a ball design as unlocked for good.
+     * @param {number} designId - The ball design to unlock.
+     */
+    const unlockDesign = (designId) => {
+        if (isDesignUnlocked(designId)) return;
+        data.unlockedDesigns.push(designId);
+        save();
+    };
+
+    return {
+        getHighScore, setHighScore, getLeaderboard, qualifiesForLeaderboard, addLeaderboardEntry, getPlayerName, setPlayerName,
+        getAchievementProgress, setAchievementProgress, getAudioSettings, setAudioSettings,
+        getDifficulty, setDifficulty, getAdaptive, setAdaptive, getGameMode, setGameMode,
+        getBallDesignId, setBallDesignId, isDesignUnlocked, unlockDesign,
+    };
+}
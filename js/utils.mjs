@@ -6,34 +6,69 @@ export function hasMethods(obj, methodNames) {
 }
 
 
+// Score categories with their label for the game over breakdown. time is the base score, the rest are bonuses.
+export const SCORE_CATEGORIES = {
+    time: "Time",
+    nearMiss: "Near-misses",
+    balance: "Balance",
+    airtime: "Airtime",
+    pickup: "Pickups",
+};
+
+// Every bonus raises the combo by one step, up to the maximum multiplier
+const COMBO_STEP = 0.5;
+const MAX_MULTIPLIER = 4;
+const MAX_COMBO = (MAX_MULTIPLIER - 1) / COMBO_STEP;
+// Without a new bonus the combo loses one step this often (ms)
+const COMBO_DECAY_MS = 2000;
+// How long a score popup stays on screen (ms)
+export const POPUP_MS = 1000;
+
 /**
- * Manages the game score, incrementing it based on elapsed time.
+ * Manages the game score: one point per elapsed second, plus bonuses (see SCORE_CATEGORIES) that are
+ * multiplied by a combo which grows with every bonus and decays while none comes in.
  */
 export function ScoreTracker() {
     let score = 0;
     // Timestamp of the last score update (in ms).
-    // Initialized to 0, will be set on the first start/update call.
-    let lastUpdateTime = 0; 
+    // Initialized to null, will be set on the first start/update call.
+    let lastUpdateTime = null; 
     const updateInterval = 1000; // Update every 1000 milliseconds (1 second)
+    // Points per category
+    let breakdown;
+    // Number of combo steps, and when the last bonus came in or the combo last decayed
+    let combo = 0;
+    let lastComboTime = 0;
+    // Recent bonuses for the floating popups
+    let popups = [];
+    let nextPopupId = 1;
+    // Latest timestamp seen, popup ages are relative to it
+    let now = 0;
 
     /**
      * Resets the score and starts tracking time. 
      * Call this once at game start or reset.
+     * @param {number} [timestamp] - Start time on the same clock later passed to update(), defaults to performance.now().
      */
-    function start() {
+    function start(timestamp = performance.now()) {
         score = 0;
-        lastUpdateTime = performance.now(); // Use performance.now() for high-resolution time
+        lastUpdateTime = timestamp;
+        breakdown = Object.fromEntries(Object.keys(SCORE_CATEGORIES).map(category => [category, 0]));
+        combo = 0;
+        popups = [];
+        now = timestamp;
     }
 
     /**
-     * Updates the score based on elapsed time. Call this in the main game loop.
+     * Updates the score based on elapsed time and lets the combo decay. Call this in the main game loop.
      * @param {number} timestamp - The current timestamp (e.g., from requestAnimationFrame callback).
      */
     function update(timestamp) {
-        if (lastUpdateTime === 0) {
+        if (lastUpdateTime === null) {
             // Initialize on first update call if start() wasn't used
-            lastUpdateTime = timestamp; 
+            start(timestamp);
         }
+        now = timestamp;
 
         if (timestamp >= lastUpdateTime + updateInterval) {
             // Calculate how many full seconds have passed
@@ -41,10 +76,48 @@ export function ScoreTracker() {
             
             // Increment score by the number of seconds passed
             score += elapsedSeconds;
+            breakdown.time += elapsedSeconds;
             
             // Update lastUpdateTime by adding the accounted time to avoid time drift
             lastUpdateTime += elapsedSeconds * updateInterval;
         }
+
+        while (combo > 0 && timestamp - lastComboTime >= COMBO_DECAY_MS) {
+            combo--;
+            lastComboTime += COMBO_DECAY_MS;
+        }
+        popups = popups.filter(popup => timestamp - popup.time < POPUP_MS);
+    }
+
+    /**
+     * @returns {number} The current combo multiplier (1 without a combo).
+     */
+    function getMultiplier() {
+        return 1 + combo * COMBO_STEP;
+    }
+
+    /**
+     * Awards bonus points, multiplied by the combo, which then grows by one step.
+     * @param {string} category - One of the bonus categories in SCORE_CATEGORIES.
+     * @param {number} points - Base points of the bonus.
+     * @param {number} timestamp - The current timestamp, on the same clock as update().
+     * @param {number} x - Where the popup appears.
+     * @param {number} y - Where the popup appears.
+     * @param {boolean} [buildsCombo=true] - False for bonuses paid out repeatedly for holding a state, which would
+     * otherwise keep the combo up on their own.
+     * @returns {number} The points actually awarded.
+     */
+    function award(category, points, timestamp, x, y, buildsCombo = true) {
+        const gained = Math.round(points * getMultiplier());
+        score += gained;
+        breakdown[category] += gained;
+        if (buildsCombo) {
+            // Capped, so the combo starts decaying right away once bonuses stop
+            combo = Math.min(MAX_COMBO, combo + 1);
+            lastComboTime = timestamp;
+        }
+        popups.push({ id: nextPopupId++, x, y, points: gained, category, time: timestamp });
+        return gained;
     }
 
     /**
@@ -55,5 +128,20 @@ export function ScoreTracker() {
         return score;
     }
 
-    return { start, update, getScore };
-}
\ No newline at end of file
+    /**
+     * @returns {Object<string, number>} Points per category (see SCORE_CATEGORIES), a copy.
+     */
+    function getBreakdown() {
+        return { ...breakdown };
+    }
+
+    /**
+     * @returns {Array<{id: number, x: number, y: number, points: number, category: string, age: number}>} Bonuses
+     * awarded within the last POPUP_MS, age in ms.
+     */
+    function getPopups() {
+        return popups.map(({ time, ...popup }) => ({ ...popup, age: now - time }));
+    }
+
+    return { start, update, award, getScore, getBreakdown, getMultiplier, getPopups };
+}
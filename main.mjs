@@ -1,385 +1,435 @@
-import { step } from "./js/physics.mjs"
-import { ScoreTracker } from "./js/utils.mjs"
-// Import all drawing functions, including the laser and arrow drawing
-import { drawBall, drawPlatform, drawScore, drawOffscreenArrow, drawLaser } from "./js/draw.mjs";
-// MODIFIED: Import BASE_LASER_SPAWN_INTERVAL for consistent initial spawn time
-import { initDifficulty, resetDifficulty, updateDifficulty, getDifficultyState, BASE_LASER_SPAWN_INTERVAL } from "./js/difficulty.mjs";
+// The game rules live in the headless GameSession, this file wires it to the canvas, input and overlay
+import { GameSession, TICK_MS } from "./js/session.mjs";
+import { renderGame } from "./js/renderer.mjs";
 import { OverlayManager } from "./js/overlay.mjs";
-// NEW: Import the TouchInputManager
+import { GameStorage } from "./js/storage.mjs";
+// NEW: Import the input sources and the manager that merges them
 import { TouchInputManager } from "./js/touch.mjs";
+import { KeyboardInputManager } from "./js/keyboard.mjs";
+import { PointerInputManager } from "./js/pointer.mjs";
+import { GamepadInputManager } from "./js/gamepad.mjs";
+import { InputManager } from "./js/input.mjs";
+import { PauseManager } from "./js/pause.mjs";
+import { randomSeed } from "./js/random.mjs";
+import { ReplayRecorder, ReplayPlayer, normalizeInput } from "./js/replay.mjs";
+import { CLASSIC_LEVEL, loadLevel } from "./js/level.mjs";
+import { ADAPTIVE_RECENT_DEATHS } from "./js/difficulty.mjs";
+import { getMode } from "./js/modes.mjs";
+import { AchievementTracker } from "./js/achievements.mjs";
+import { EventBus } from "./js/events.mjs";
+import { AudioEngine } from "./js/audio.mjs";
 
 window.onload = () => {
     const cnv = document.getElementById("cnv");
     const ctx = cnv.getContext("2d");
 
-    // Initialize OverlayManager
-    const overlayManager = OverlayManager(cnv);
-
-    // Initialize ScoreTracker
-    const scoreTracker = ScoreTracker();
-
-    // Variable to track the highest score achieved
-    let highScore = 0;
-
-    // NEW: Variable to track the currently selected ball design (default to 0)
-    let ballDesignId = 0;
-
-    // layout / geometry that depends on canvas size
-    let lineX1, lineY1, lineX2, lineY2, lineThickness;
-    // additional precomputed values for rotating the slope around its center
-    let lineCenterX, lineCenterY, lineHalfLen, lineBaseAngle;
-
-    // NEW: Reference height for physics scaling
-    const SCALE_FACTOR_REF_HEIGHT = 1000;
-    // NEW: Physics scaling factor, updated on resize
-    let scaleFactor = 1.0;
-    // NEW: Arrow size, scaled by canvas height
-    let arrowSize;
-
-    // NEW: Array to hold active laser objects
-    let lasers = [];
-    // NEW: Timer for laser spawning
-    let nextLaserSpawnTime = 0;
-
-    function updateLayout() {
-        lineX1 = cnv.width * 1/5;
-        lineX2 = cnv.width * 4/5;
-
-        // slope endpoints (y1 > y2 -> downward slope left->right)
-        lineY1 = cnv.height * 3/5;
-        lineY2 = cnv.height * 2/5;
-        lineThickness = Math.max(6, cnv.height * 1/40); // keep reasonable min thickness
-
-        // compute center, half-length and base angle for the slope so we can rotate around center
-        lineCenterX = (lineX1 + lineX2) / 2;
-        lineCenterY = (lineY1 + lineY2) / 2;
-        const dx = lineX2 - lineX1, dy = lineY2 - lineY1;
-        const len = Math.hypot(dx, dy) || 1;
-        lineHalfLen = len / 2;
-        lineBaseAngle = Math.atan2(dy, dx);
-    }
+    // Persistent high score, design selection and unlocks (localStorage, or memory if unavailable)
+    const storage = GameStorage();
 
-    let r;
-    let speed = 3; // overall speed factor
-    let dx = 0;
-    let dy = 0;
-    let x = null;
-    let y = null;
-    let vx = 0; // Velocity components
-    let vy = 0; // Velocity components
-    let alpha = 0; // Slope rotation angle
+    // Gameplay events for everything that reacts to the game. index.html?debug=events logs them to the console,
+    // ?debug=events-verbose also the one fired every tick.
+    const debugMode = new URLSearchParams(window.location.search).get("debug");
+    const events = EventBus({ debug: { "events": true, "events-verbose": 'verbose' }[debugMode] || false });
 
-    // Jump permission flag.
-    let canJump = true;
+    // Initialize OverlayManager
+    const overlayManager = OverlayManager(cnv, storage);
+
+    // Difficulty preset, adaptive mode and game mode of live runs (restored from storage)
+    let difficultyId = storage.getDifficulty();
+    let adaptiveMode = storage.getAdaptive();
+    let modeId = storage.getGameMode();
+    // Seconds survived in the last adaptive runs of this visit that ended in a death, per game mode: the adaptive mode
+    // eases off after early deaths
+    const recentDeaths = {};
+
+    // How long an achievement notification stays on screen
+    const TOAST_MS = 3000;
+    // Unlocked achievements waiting to be shown, the first one is on screen since its shownAt timestamp
+    const toasts = [];
+    // Achievements are earned in live runs of ranked modes, progress is saved on every unlock and at the end of each run
+    const achievements = AchievementTracker(storage.getAchievementProgress(), (achievement) => {
+        storage.setAchievementProgress(achievements.getProgress());
+        events.emit('achievementUnlocked', achievement);
+    });
+    // Whether the current run counts towards the achievements
+    let trackingAchievements = false;
+    events.on('runStart', ({ mode, replay }) => {
+        trackingAchievements = !replay && getMode(mode).ranked;
+        if (trackingAchievements) achievements.startRun();
+    });
+    /**
+     * Subscribes a listener that only hears events of runs that count towards the achievements.
+     */
+    const onTrackedEvent = (type, listener) => events.on(type, (payload) => {
+        if (trackingAchievements) listener(payload);
+    });
+    onTrackedEvent('jump', () => achievements.record("jumps"));
+    onTrackedEvent('pickup', () => achievements.record("pickups"));
+    onTrackedEvent('nearMiss', () => achievements.record("dodges"));
+    onTrackedEvent('tick', ({ state }) => achievements.observe(state));
+    onTrackedEvent('gameOver', () => storage.setAchievementProgress(achievements.getProgress()));
+    events.on('achievementUnlocked', (achievement) => toasts.push({ ...achievement, shownAt: null }));
+
+    // Synthesized sound effects and music, silent until the first tap on Start unlocks audio
+    const audio = AudioEngine(storage.getAudioSettings());
+    events.on('jump', ({ airJump }) => audio.playJump(airJump));
+    events.on('landed', ({ impactSpeed }) => audio.playLanding(impactSpeed));
+    events.on('laserSpawned', () => audio.playLaserSpawn());
+    events.on('shieldBreak', () => audio.playLaserHit());
+    events.on('lifeLost', ({ cause }) => {
+        if (cause === 'laser') audio.playLaserHit();
+    });
+    events.on('pickup', () => audio.playPickup());
+    events.on('gameOver', ({ cause }) => {
+        if (cause === 'laser') audio.playLaserHit();
+        audio.playGameOver();
+    });
+    events.on('tick', ({ state }) => audio.setIntensity(state.intensity));
+
+    // Variable to track the highest score achieved on the selected difficulty and modes (restored from storage)
+    let highScore = storage.getHighScore(difficultyId, adaptiveMode, modeId);
+
+    // Variable to track the currently selected ball design (restored from storage)
+    let ballDesignId = storage.getBallDesignId();
+
+    // Longest frame gap that is simulated; longer gaps (tab switch, debugger) are dropped instead of fast-forwarded
+    const MAX_FRAME_MS = 250;
+    // Unsimulated real time carried over to the next frame
+    let accumulator = 0;
+
+    // Level for live runs, replaced by ?level=<name> (loads levels/<name>.json)
+    let level = CLASSIC_LEVEL;
+
+    // The current run. Before the first start it only provides the idle scene behind the menu.
+    let session = null;
+    // Session snapshots before and after the last tick, rendering interpolates between them
+    let prevState = null;
+    let currentState = null;
+
+    // Records the current live run so it can be watched or saved after game over
+    let recorder = null;
+    // Drives the current run from a recording instead of live input (null when playing live)
+    let replayPlayer = null;
+    // Replay of the last finished live run
+    let lastReplay = null;
+    // Input of the last tick, changes are reported as 'input' events
+    let lastInput = null;
 
     // NEW: Setter for ball design
     function setBallDesign(id) {
-        ballDesignId = id;
+        events.emit('designChanged', { designId: id });
     }
+    events.on('designChanged', ({ designId }) => {
+        ballDesignId = designId;
+        storage.setBallDesignId(designId);
+    });
 
-    // Function to reset the game state, called by OverlayManager
-    function resetBallAndGame(timestamp) {
-         // reset position above the slope center and restore initial velocity
-        x = lineCenterX;
-        y = lineCenterY - lineThickness - r - 2;
-        vx = 0;
-        vy = 0;
-        dx = 0; dy = 0;
-        alpha = 0;
-        canJump = true; // Allow jump immediately after respawn
-
-        // NEW: Clear lasers and reset spawn timer
-        lasers = [];
-        // FIX: Use the imported BASE_LASER_SPAWN_INTERVAL (4000ms) for consistency
-        nextLaserSpawnTime = timestamp + BASE_LASER_SPAWN_INTERVAL;
-
-        // Reset dynamic speeds and game timer (Modularized)
-        resetDifficulty(timestamp);
-
-        scoreTracker.start(); // Reset the current score
+    /**
+     * @returns {{level: Object, difficulty: string, mode: string}} Settings for a new live run from the current selection.
+     */
+    const liveRunSettings = () => ({ level, difficulty: difficultyId, mode: modeId });
+
+    /**
+     * Creates a new session and resets the snapshots used for rendering.
+     * @param {number} seed - RNG seed of the run.
+     * @param {{level: Object, difficulty: string, adaptive?: ?Object, mode: string}} run - Level, difficulty preset id,
+     * adaptive mode settings (null or omitted when off) and game mode id of the run, the same fields a replay stores.
+     */
+    function createSession(seed, run) {
+        // Everything the session reports goes out as an event
+        session = GameSession(
+            { width: cnv.width, height: cnv.height, seed, level: run.level, difficulty: run.difficulty, adaptive: run.adaptive, mode: run.mode },
+            {
+                onJump: (jump) => events.emit('jump', jump),
+                onLanded: (landing) => events.emit('landed', landing),
+                onHazardSpawned: (hazard) => {
+                    if (hazard.type === "pickup") {
+                        events.emit('pickupSpawned', { effect: hazard.effect, pickup: hazard });
+                        return;
+                    }
+                    events.emit('hazardSpawned', { type: hazard.type, hazard });
+                    // Coatings like frost only change the platforms' surface, they never hit the ball
+                    if (!hazard.platformMaterial) events.emit('laserSpawned', { type: hazard.type, hazard });
+                },
+                onNearMiss: (hazard) => events.emit('nearMiss', { type: hazard.type, hazard }),
+                onPickup: (pickup) => events.emit('pickup', pickup),
+                onShieldBreak: (hazard) => events.emit('shieldBreak', { type: hazard.type, hazard }),
+                onBonus: (bonus) => events.emit('bonus', bonus),
+                onLifeLost: (loss) => events.emit('lifeLost', loss),
+                onGameOver: (result) => events.emit('gameOver', result),
+            }
+        );
+        lastInput = null;
+        accumulator = 0;
+        prevState = currentState = session.getState();
     }
 
+    /**
+     * Starts a new run, either live (recorded) or as playback of a replay.
+     * @param {Object} [replay] - Replay to re-simulate. Omit for a normal live run.
+     */
+    function startRun(replay) {
+        // Browsers only start audio from a user gesture, every run starts from a tap or click
+        audio.unlock();
+        if (replay) {
+            // The layout and physics scale depend on the canvas size, so a replay runs at its recorded size
+            replayPlayer = ReplayPlayer(replay);
+            recorder = null;
+            cnv.width = replay.width;
+            cnv.height = replay.height;
+            fitCanvasToWindow();
+            createSession(replay.seed, replay);
+            events.emit('runStart', { seed: replay.seed, mode: replay.mode, difficulty: replay.difficulty, adaptive: !!replay.adaptive, replay: true });
+        } else {
+            replayPlayer = null;
+            resize(); // back to the window size after a replay
+            const seed = randomSeed();
+            const run = { ...liveRunSettings(), adaptive: adaptiveMode ? { recentDeaths: [...(recentDeaths[modeId] || [])] } : null };
+            recorder = ReplayRecorder(seed, { width: cnv.width, height: cnv.height, ...run });
+            createSession(seed, run);
+            events.emit('runStart', { seed, mode: run.mode, difficulty: run.difficulty, adaptive: !!run.adaptive, replay: false });
+        }
+    }
+
+    /**
+     * Ends the current run and shows the game over overlay. Live runs are turned into a replay.
+     * @param {number} finalScore - Score at the end of the run.
+     * @param {'laser'|'ground'|'timeUp'|'quit'|'replayEnd'} cause - Why the run ended.
+     */
+    function endRun(finalScore, cause) {
+        // The leaderboard of the run and a function adding the run to it under a name, if it made it onto the board
+        let leaderboardEntry = null;
+        // The recorded result of a replay that played out differently, shown on the game over screen
+        let desync = null;
+        if (replayPlayer) {
+            const replay = replayPlayer.getReplay();
+            // Quitting is no input, the playback of a quit run simply runs out of input. Quitting the playback itself
+            // says nothing about sync.
+            const expectedCause = replay.cause === 'quit' ? 'replayEnd' : replay.cause;
+            if (cause !== 'quit' && (finalScore !== replay.score || cause !== expectedCause)) {
+                desync = { score: replay.score, cause: replay.cause };
+            }
+        } else {
+            // Practice modes never count
+            const ranked = getMode(modeId).ranked;
+            if (ranked) {
+                highScore = Math.max(highScore, finalScore);
+                storage.setHighScore(difficultyId, highScore, adaptiveMode, modeId);
+            }
+            // The selection can change on the game over screen before the name is entered, keep the run's board
+            const board = [difficultyId, adaptiveMode, modeId];
+            if (ranked && storage.qualifiesForLeaderboard(...board, finalScore)) {
+                const entry = { score: finalScore, date: Date.now(), duration: session.getState().simTime / 1000, cause };
+                leaderboardEntry = { board, add: (name) => storage.addLeaderboardEntry(...board, { name, ...entry }) };
+            }
+            // Quitting, running out of time or playing without hazards says nothing about how long the player survives
+            const died = cause === 'laser' || cause === 'ground';
+            if (adaptiveMode && ranked && getMode(modeId).hazards && died) {
+                const deaths = recentDeaths[modeId] = recentDeaths[modeId] || [];
+                deaths.push(session.getState().simTime / 1000);
+                if (deaths.length > ADAPTIVE_RECENT_DEATHS) deaths.shift();
+            }
+            lastReplay = recorder.finish({ score: finalScore, cause });
+        }
+        overlayManager.setGameState('gameOver', finalScore, highScore, cause, session.getState().breakdown, desync);
+        if (leaderboardEntry) overlayManager.requestLeaderboardName(leaderboardEntry.board, leaderboardEntry.add);
+    }
+    events.on('gameOver', ({ score, cause }) => endRun(score, cause));
+
     function resize() {
+        // A replay keeps its recorded canvas size, only its on-screen scale follows the window
+        if (replayPlayer) {
+            fitCanvasToWindow();
+            return;
+        }
+        cnv.style.width = '';
+        cnv.style.height = '';
         cnv.width = window.innerWidth;
         cnv.height = window.innerHeight;
-        // NEW: Calculate the scale factor based on height
-        scaleFactor = cnv.height / SCALE_FACTOR_REF_HEIGHT;
-        r = Math.max(15, cnv.height / 18);
-        // Arrow size is r * 0.5
-        arrowSize = r * 0.5;
-        updateLayout();
-        // ensure ball stays above slope after resize
-        if (x == null || overlayManager.getGameState() !== 'playing') {
-            x = lineCenterX;
-            y = lineCenterY - lineThickness - r - 2;
-            // Ensure initial velocity is zero to let gravity take over smoothly
-            vx = 0;
-            vy = 0;
-            canJump = true; // Reset jump permission on initial placement
+        if (session) {
+            session.resize(cnv.width, cnv.height);
+            // Positions were rescaled, don't interpolate across the jump
+            prevState = currentState = session.getState();
         }
     }
+
+    /**
+     * Scales the canvas element (not its drawing buffer) to fit the window while keeping its aspect ratio.
+     */
+    function fitCanvasToWindow() {
+        const scale = Math.min(window.innerWidth / cnv.width, window.innerHeight / cnv.height);
+        cnv.style.width = `${cnv.width * scale}px`;
+        cnv.style.height = `${cnv.height * scale}px`;
+    }
+
     addEventListener("resize", resize);
     resize();
+    // Idle scene behind the menu: the ball resting on the spawn point
+    createSession(randomSeed(), liveRunSettings());
+
+    // Designers can try a level file without touching code: index.html?level=twin-slopes
+    const levelName = new URLSearchParams(window.location.search).get("level");
+    if (levelName) {
+        loadLevel(`levels/${encodeURIComponent(levelName)}.json`)
+            .then(loadedLevel => {
+                level = loadedLevel;
+                // Show the new layout behind the menu unless a run already started
+                if (overlayManager.getGameState() === 'menu') createSession(randomSeed(), liveRunSettings());
+            })
+            .catch(err => console.warn(`Falling back to the classic level.`, err));
+    }
 
     // MODIFIED: Initialize the Overlay Manager with the reset function, the design setter, and the initial high score
     overlayManager.init(
         () => { // resetGameCallback
-            resetBallAndGame(performance.now());
+            startRun();
         },
         setBallDesign, // onDesignChangeCallback
         highScore // PASSING HIGH SCORE TO INIT (NEW)
     );
 
-    // NEW: Initialize the Touch Input Manager
-    const touchManager = TouchInputManager(cnv, overlayManager.getGameState);
+    // Let the overlay watch, save and load replays
+    overlayManager.setReplayHandlers(
+        () => lastReplay, // getLastReplay
+        (replay) => startRun(replay) // onWatchReplay
+    );
+
+    /**
+     * Each difficulty, adaptive and game mode keeps its own high score, shows the one of the current selection.
+     */
+    function refreshHighScore() {
+        highScore = storage.getHighScore(difficultyId, adaptiveMode, modeId);
+        overlayManager.updateScoreDisplay(highScore, gameHasStarted ? currentState.score : undefined);
+    }
 
-    // Adjusted jump impulse strength for stability
-    const JUMP_STRENGTH_Y = -10;
+    overlayManager.setDifficultyHandler((id, adaptive) => {
+        difficultyId = id;
+        adaptiveMode = adaptive;
+        refreshHighScore();
+    });
+    overlayManager.setModeHandler((id) => {
+        modeId = id;
+        refreshHighScore();
+    });
+    overlayManager.setAudioHandler((settings) => audio.setSettings(settings));
+    // Ending a run from the pause menu, the only way out of a Zen run
+    overlayManager.setEndRunHandler(() => session.quit());
+
+    // Merge touch, keyboard, mouse and gamepad so the game is playable on phones and laptops alike
+    const inputManager = InputManager([
+        TouchInputManager(cnv, overlayManager.getGameState),
+        KeyboardInputManager(overlayManager.getGameState),
+        PointerInputManager(cnv, overlayManager.getGameState),
+        GamepadInputManager(overlayManager.getGameState),
+    ]);
+
+    // Esc/P, three-finger touch and leaving the tab pause the run. The simulation only advances
+    // in ticks, so score, difficulty and laser timers simply stand still while paused.
+    PauseManager(
+        cnv,
+        overlayManager.getGameState,
+        () => overlayManager.setGameState('paused', currentState.score, highScore), // onPause
+        () => overlayManager.setGameState('playing') // onResume
+    );
 
     // Flag to track if the game has ever started (i.e., not the initial 'menu' state)
     let gameHasStarted = false;
 
     /**
-     * Checks for collision between the ball and a rectangular laser.
-     * Uses simple AABB (Axis-Aligned Bounding Box) for the laser and ball.
-     * @param {{x: number, y: number, r: number}} ball - Ball state.
-     * @param {{x: number, y: number, width: number, height: number}} laser - Laser object.
-     * @returns {boolean} True if collision occurred.
+     * Returns the input for the next tick: recorded input while watching a replay, otherwise
+     * the live input, which is recorded.
+     * @returns {?{rotation: number, jump: boolean}} The input, or null when a replay ran out of input.
      */
-    function checkLaserCollision(ball, laser) {
-        // Find the closest point on the laser rect to the ball center
-        const closestX = Math.max(laser.x, Math.min(ball.x, laser.x + laser.width));
-        const closestY = Math.max(laser.y, Math.min(ball.y, laser.y + laser.height));
-
-        // Calculate the distance between the closest point and the ball center
-        const distX = ball.x - closestX;
-        const distY = ball.y - closestY;
-
-        // If the distance is less than the ball's radius, there is a collision
-        return (distX * distX + distY * distY) < (ball.r * ball.r);
+    function nextInput() {
+        let input;
+        if (replayPlayer) {
+            input = replayPlayer.next();
+        } else {
+            input = normalizeInput(inputManager.getRotation(), inputManager.getJump());
+            recorder.record(input);
+        }
+        if (input && (!lastInput || input.rotation !== lastInput.rotation || input.jump !== lastInput.jump)) {
+            events.emit('input', { ...input });
+        }
+        lastInput = input;
+        return input;
     }
 
-    // Store the last timestamp for time-based movement calculation
+    // Store the last timestamp to measure the real time between frames
     let lastTimestamp = 0;
+    // Whether the previous frame simulated, real time spent in menus or paused is never simulated
+    let wasPlaying = false;
 
     function draw(timestamp) {
         ctx.resetTransform();
         ctx.clearRect(0, 0, cnv.width, cnv.height);
 
-        // Calculate delta time for consistent movement across different frame rates
-        const deltaTime = (timestamp - lastTimestamp) / 1000; // in seconds
-        lastTimestamp = timestamp;
-
-        // Get current game state
-        const gameState = overlayManager.getGameState();
-
-        // Compute/Draw static elements regardless of game state
-        // compute current rotated endpoints of the sloped line (rotate around center)
-        const currentAngle = lineBaseAngle + alpha;
-        const hx = Math.cos(currentAngle) * lineHalfLen;
-        const hy = Math.sin(currentAngle) * lineHalfLen;
-        const rx1 = lineCenterX - hx, ry1 = lineCenterY - hy;
-        const rx2 = lineCenterX + hx, ry2 = lineCenterY + hy;
-
-        // --- DRAWING ---
-        // Draw the platform and score unconditionally
-        drawPlatform(ctx, rx1, ry1, rx2, ry2, lineThickness);
-        drawScore(ctx, cnv.width, scoreTracker, highScore);
-
-        // Draw lasers only if playing
-        if (gameState === 'playing') {
-            lasers.forEach(laser => drawLaser(ctx, laser));
-        }
+        const isPlaying = overlayManager.getGameState() === 'playing';
+        // Music plays while a run is played, pausing or ending it stops the music
+        audio.setMusicActive(isPlaying);
 
-        // --- BALL & ARROW DRAWING ---
-        // Condition for the ENTIRE ball being off the top of the screen: y < -r.
-        const ballIsEntirelyOffScreen = y < -r;
-
-        if (gameState === 'playing') {
-            if (ballIsEntirelyOffScreen) {
-                // Arrow is ON, Ball is OFF (entirely off-screen)
-                drawOffscreenArrow(ctx, x, arrowSize);
-            } else {
-                // Arrow is OFF, Ball is ON (partially or fully visible, drawn at true position)
-                drawBall(ctx, x, y, r, ballDesignId);
-            }
-        } else {
-            // Game is not playing (menu/gameover): Ball is always visible
-            drawBall(ctx, x, y, r, ballDesignId);
-        }
+        // Real time since the last frame, capped so a long stall doesn't fast-forward the game.
+        // The first frame after starting or resuming simulates nothing, the gap before it was not play time.
+        const frameTime = wasPlaying ? Math.min(timestamp - lastTimestamp, MAX_FRAME_MS) : 0;
+        lastTimestamp = timestamp;
+        wasPlaying = isPlaying;
 
         // --- GAME LOGIC (ONLY IF PLAYING) ---
-        if (gameState === 'playing') {
+        if (isPlaying) {
 
             gameHasStarted = true; // Mark that the game is now active.
 
-            // --- DIFFICULTY/SCORE LOGIC (Modularized) ---
-            initDifficulty(timestamp);
-            updateDifficulty(timestamp);
-            const {
-                currentMaxSpeed, currentManualRotationSpeed, currentAutoRotationSpeed,
-                laserSpeed, laserWidth, laserHeight, laserSpawnInterval
-            } = getDifficultyState();
-
-            scoreTracker.update(timestamp);
-            highScore = Math.max(highScore, scoreTracker.getScore());
-
-            // NEW: Get touch input state from the manager
-            const rotatingLeft = touchManager.getRotatingLeft();
-            const rotatingRight = touchManager.getRotatingRight();
-            const jumpInput = touchManager.getJump();
-
-            // Determine the angular velocity for this frame (using dynamic speed)
-            let angularVelocity = 0;
-            if (rotatingLeft) {
-                angularVelocity = -currentManualRotationSpeed;
-            } else if (rotatingRight) {
-                angularVelocity = currentManualRotationSpeed;
-            } else { // No manual rotation input (either no touch, or two-finger jump)
-                // currentAutoRotationSpeed is now a fixed, positive value (rotating right)
-                angularVelocity = currentAutoRotationSpeed;
-            }
-
-            const obstacles = [
-                {
-                    type: "segment", x1: rx1, y1: ry1, x2: rx2, y2: ry2, thickness: lineThickness,
-                    centerX: lineCenterX,
-                    centerY: lineCenterY,
-                    angularVelocity: angularVelocity
-                }
-            ];
-
-            // 1. APPLY JUMP/PUSH LOGIC:
-            const isJumpRequested = jumpInput; // Use the value from the touch manager
-
-            // Scale the jump strength
-            const scaledJumpStrengthY = JUMP_STRENGTH_Y * scaleFactor;
-
-            if (isJumpRequested && canJump) {
-
-                // Add the impulse to the existing vertical velocity (vy)
-                if(dy > 0) {vy = scaledJumpStrengthY; }
-                else { vy += scaledJumpStrengthY; }
-                canJump = false;
-            }
-
-            // 2. Perform physics step with current state, including vx/vy
-            const physicsResult = step(
-                { x, y, dx, dy, speed, r, vx, vy },
-                obstacles,
-                // Pass the scaleFactor to the physics step function
-                { gravity: 0.2 * scaleFactor, friction: 0.995, bounds: { width: cnv.width, height: cnv.height }, stopThreshold: 0.05 * scaleFactor }
-            );
-
-            // 3. Update state from physics result
-            const contact = physicsResult.contact; // Get contact status directly from physics
-
-            // Extract updated position and velocity variables
-            ({ x, y, dx, dy, speed, vx, vy } = physicsResult);
-
-            // 4. Update velocity vectors from the returned speed/direction.
-            if (speed < 0.05 * scaleFactor) { // Scale the minimum speed check
-                vx = 0;
-                vy = 0;
-            } else {
-                speed = Math.hypot(vx, vy);
-                dx = vx / speed;
-                dy = vy / speed;
-            }
-
-            // Scale the maximum allowed speed by the screen scale factor.
-            const scaledMaxSpeed = currentMaxSpeed * scaleFactor;
-
-            // Max Speed Check - Use scaledMaxSpeed
-            const totalVelocity = Math.hypot(vx, vy);
-            if (totalVelocity > scaledMaxSpeed) {
-                const ratio = scaledMaxSpeed / totalVelocity;
-                vx *= ratio;
-                vy *= ratio;
-                // Update speed, dx, dy after clamping
-                speed = scaledMaxSpeed;
-                dx = vx / speed;
-                dy = vy / speed;
-            }
-
-            // 5. JUMP PERMISSION LOGIC: (Using the reliable contact flag)
-            if (contact) {
-                canJump = true; // Direct contact with the surface allows a jump
-            }
-
-            // --- LASER LOGIC ---
-            const scaledLaserSpeed = laserSpeed * scaleFactor;
-            const scaledLaserWidth = laserWidth * scaleFactor;
-            const scaledLaserHeight = laserHeight * scaleFactor;
-
-            // Spawn new laser
-            if (timestamp >= nextLaserSpawnTime) {
-                const direction = Math.random() < 0.5 ? 1 : -1; // 1: L->R, -1: R->L
-                const startX = direction === 1 ? -scaledLaserWidth : cnv.width;
-                // Spawn laser in the top 75% of the screen, away from the floor/platform center
-                const startY = Math.random() * (cnv.height * 0.75 - scaledLaserHeight) + 1;
-
-                lasers.push({
-                    x: startX,
-                    y: startY,
-                    width: scaledLaserWidth,
-                    height: scaledLaserHeight,
-                    speed: scaledLaserSpeed,
-                    direction: direction,
-                    color: null // Use default from draw.mjs
-                });
-
-                nextLaserSpawnTime = timestamp + laserSpawnInterval;
-            }
-
-            // Move lasers and check for collision
-            let hitByLaser = false;
-            lasers = lasers.filter(laser => {
-                // Move
-                laser.x += laser.speed * laser.direction * 60 * deltaTime; // Multiply by 60 for speed compensation
-
-                // Check Collision
-                if (checkLaserCollision({x, y, r}, laser)) {
-                    hitByLaser = true;
-                    // Keep the laser for one frame to be drawn at collision point
-                    return true;
-                }
-
-                // Check if off-screen (and remove if so)
-                if (laser.direction === 1) { // Moving right
-                    return laser.x < cnv.width;
-                } else { // Moving left
-                    return laser.x + laser.width > 0;
+            // Gamepads have no input events, read them once per frame
+            inputManager.poll();
+
+            // Run as many fixed ticks as fit into the elapsed real time, keep the remainder for next frame
+            accumulator += frameTime;
+            while (accumulator >= TICK_MS && !session.isOver()) {
+                const input = nextInput();
+                if (!input) {
+                    // The recording ended without the run ending (e.g. the simulation changed since it was made)
+                    events.emit('gameOver', {
+                        score: currentState.score, cause: 'replayEnd', adaptive: currentState.adaptive, breakdown: currentState.breakdown,
+                    });
+                    break;
                 }
-            });
-
-            if (hitByLaser) {
-                // Game Over Logic
-                const finalScore = scoreTracker.getScore();
-                highScore = Math.max(highScore, finalScore);
-                // MODIFIED: Pass 'laser' as cause
-                overlayManager.setGameState('gameOver', finalScore, highScore, 'laser');
+                prevState = currentState;
+                session.tick(input);
+                currentState = session.getState();
+                events.emit('tick', { state: currentState });
+                accumulator -= TICK_MS;
             }
 
-            // respawn if the ball touches the ground (bottom of canvas)
-            const groundY = cnv.height - r;
-            if (y >= groundY) {
-                // Game Over Logic - Use OverlayManager
-                const finalScore = scoreTracker.getScore();
-                highScore = Math.max(highScore, finalScore);
-                // MODIFIED: Pass 'ground' as cause
-                overlayManager.setGameState('gameOver', finalScore, highScore, 'ground');
-
-                // The next game will be reset when the user clicks 'start' again
+            // Watching a replay never counts towards the high score
+            if (!replayPlayer && getMode(modeId).ranked && currentState.score > highScore) {
+                highScore = currentState.score;
+                storage.setHighScore(difficultyId, highScore, adaptiveMode, modeId); // Only writes when the high score actually increased
             }
-             if (x + r > cnv.width || x - r < 0) vx *= -1;
-
-            // ROTATION: Use the pre-calculated angular velocity to update alpha
-            alpha += angularVelocity;
+        }
 
-        } else if (gameState === 'gameOver' || (gameState === 'menu' && gameHasStarted)) {
+        // Get current game state (a tick may just have ended the run)
+        const gameState = overlayManager.getGameState();
+        const runOnScreen = gameState === 'playing' || gameState === 'paused';
+
+        // How far rendering is between the previous and the current tick (0..1)
+        const blend = runOnScreen ? accumulator / TICK_MS : 1;
+
+        // Achievement notifications are shown one after another
+        if (toasts.length > 0 && toasts[0].shownAt !== null && timestamp - toasts[0].shownAt >= TOAST_MS) toasts.shift();
+        if (toasts.length > 0 && toasts[0].shownAt === null) toasts[0].shownAt = timestamp;
+        const toast = toasts.length > 0 ? { ...toasts[0], progress: (timestamp - toasts[0].shownAt) / TOAST_MS } : null;
+        renderGame(ctx, prevState, currentState, blend, {
+            playing: runOnScreen,
+            replay: !!replayPlayer,
+            ballDesignId,
+            highScore,
+            adaptive: adaptiveMode,
+            toast,
+        });
+
+        if (gameState === 'gameOver' || (gameState === 'menu' && gameHasStarted)) {
             // The overlay now handles the score display and unlock status update
-            overlayManager.updateScoreDisplay(highScore, scoreTracker.getScore());
+            overlayManager.updateScoreDisplay(highScore, currentState.score);
         }
 
 
@@ -387,4 +437,4 @@ window.onload = () => {
     }
 
     window.requestAnimationFrame(draw);
-}
\ No newline at end of file
+}
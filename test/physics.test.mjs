@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { step } from "../js/physics.mjs";
+import { checkCircleCollisions } from "../js/collision.mjs";
+
+const BOUNDS = { width: 10000, height: 10000 };
+const R = 10;
+// Thin floors at y = 500, 6 px thick
+const FLOORS = {
+    segment: { type: "segment", x1: 0, y1: 500, x2: 800, y2: 500, thickness: 6 },
+    rect: { type: "rect", x: 0, y: 497, w: 800, h: 6 },
+    polygon: { type: "polygon", points: [{ x: 0, y: 497 }, { x: 800, y: 497 }, { x: 800, y: 503 }, { x: 0, y: 503 }] },
+    // The top half of a big ring, its highest point is right below the ball
+    arc: { type: "arc", cx: 400, cy: 900, radius: 400, startAngle: Math.PI, endAngle: 2 * Math.PI, thickness: 6 },
+};
+
+/**
+ * Drops the ball onto an obstacle from right above it, fast enough to cross it many times over within one step.
+ * @returns {Object} The state after the step.
+ */
+function dropOnto(obstacle, speed) {
+    const y = 480 - speed / 2;
+    return step({ x: 400, y, dx: 0, dy: 1, speed, vx: 0, vy: speed, r: R }, [obstacle], { bounds: BOUNDS });
+}
+
+for (const [name, floor] of Object.entries(FLOORS)) {
+    test(`a fast ball lands on a thin ${name} instead of passing through`, () => {
+        for (const speed of [30, 330, 1000]) {
+            const result = dropOnto(floor, speed);
+            assert.equal(result.contact, true, `speed ${speed}`);
+            assert.equal(result.contacts.length, 1);
+            // Resting on top of the floor, not below it
+            assert.ok(result.y < 497 - R + 0.5 && result.y > 497 - R - 1, `speed ${speed}: y ${result.y}`);
+            assert.ok(result.vy <= 0, `speed ${speed}: still moving down`);
+        }
+    });
+}
+
+test("a fast ball inside a ring hits the ring from the inside", () => {
+    const result = step({ x: 400, y: 700, dx: 0, dy: -1, speed: 1000, vx: 0, vy: -1000, r: R }, [FLOORS.arc], { bounds: BOUNDS, gravity: 0 });
+    assert.equal(result.contact, true);
+    assert.ok(Math.abs(result.y - (503 + R)) < 0.5, `y ${result.y}`);
+});
+
+test("a fast ball passing beyond the end of an arc misses it", () => {
+    const result = step({ x: -100, y: 480, dx: 0, dy: 1, speed: 1000, vx: 0, vy: 1000, r: R }, [FLOORS.arc], { bounds: BOUNDS });
+    assert.equal(result.contact, false);
+});
+
+test("a slow ball away from any obstacle has no contact", () => {
+    const result = step({ x: 400, y: 100, dx: 0, dy: 1, speed: 2, vx: 0, vy: 2, r: R }, Object.values(FLOORS), { bounds: BOUNDS });
+    assert.equal(result.contact, false);
+    assert.deepEqual(result.contacts, []);
+});
+
+// A V of two segments meeting at (400, 500)
+const WEDGE = [
+    { type: "segment", id: "left", x1: 300, y1: 400, x2: 400, y2: 500, thickness: 6 },
+    { type: "segment", id: "right", x1: 400, y1: 500, x2: 500, y2: 400, thickness: 6 },
+];
+
+/**
+ * @returns {number} How deep the ball sinks into the deepest obstacle it overlaps, 0 if none.
+ */
+const deepestPenetration = (state) => Math.max(0, ...checkCircleCollisions(state.x, state.y, R, WEDGE).map(hit => hit.penetration));
+
+/**
+ * Steps a ball dropped into the wedge.
+ * @param {function(Object): boolean} [until] - Stops early once this returns true for the state after a step.
+ * @returns {Object} The state after the last step.
+ */
+function dropIntoWedge(ticks, until = () => false) {
+    let state = { x: 400, y: 440, dx: 0, dy: 1, speed: 8, vx: 0, vy: 8, r: R };
+    for (let i = 0; i < ticks; i++) {
+        state = { ...state, ...step(state, WEDGE, { bounds: BOUNDS }) };
+        if (until(state)) break;
+    }
+    return state;
+}
+
+test("a ball falling into a wedge touches both sides in one step without sinking in", () => {
+    const state = dropIntoWedge(60, (s) => s.contacts.length > 0);
+    assert.deepEqual(state.contacts.map(c => c.source.id).sort(), ["left", "right"]);
+    state.contacts.forEach(c => assert.ok(c.impulse > 0, `${c.source.id} impulse ${c.impulse}`));
+    assert.ok(deepestPenetration(state) < 0.01);
+});
+
+test("a ball resting in a wedge keeps both contacts and stays out of the obstacles", () => {
+    const state = dropIntoWedge(300);
+    assert.equal(state.contact, true);
+    assert.equal(state.contacts.length, 2);
+    state.contacts.forEach(c => assert.ok(c.impulse > 0));
+    assert.ok(deepestPenetration(state) < 0.01);
+    assert.ok(Math.abs(state.x - 400) < 0.5);
+});
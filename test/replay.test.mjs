@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GameSession } from "../js/session.mjs";
+import { ReplayRecorder, ReplayPlayer, parseReplay, normalizeInput, REPLAY_VERSION } from "../js/replay.mjs";
+import { CLASSIC_LEVEL } from "../js/level.mjs";
+
+const META = { width: 800, height: 600, level: CLASSIC_LEVEL, difficulty: "normal", adaptive: null, mode: "endless" };
+// Long enough for any run of the scripted player below to end on its own
+const MAX_TICKS = 60 * 60 * 10;
+// How the scripted run with this seed ends. It changes exactly when the simulation outcome does, update it together
+// with REPLAY_VERSION.
+const PINNED_RUN = { version: 18, seed: 2024, result: { score: 100, cause: "laser", ticks: 1634 } };
+
+/**
+ * Scripted player: tilts the platform to roll the ball back towards the middle and jumps every four seconds.
+ * @param {Object} state - GameSession.getState().
+ * @param {number} tick - Ticks played so far.
+ */
+function scriptedInput(state, tick) {
+    const target = -(0.005 * (state.x - state.width / 2) + 0.02 * state.vx);
+    const rotation = Math.max(-1, Math.min(1, (target - state.platforms[0].angle) * 20));
+    return normalizeInput(rotation, tick % 240 < 8);
+}
+
+/**
+ * Plays a run until it ends, the way main.mjs drives a session.
+ * @param {Object} session - A GameSession.
+ * @param {function(Object, number): ?{rotation: number, jump: boolean}} nextInput - Input per tick, null ends the input.
+ * @returns {{score: number, cause: string, ticks: number}} How the run ended.
+ */
+function play(session, nextInput) {
+    let result = null;
+    for (let tick = 0; tick < MAX_TICKS && !result; tick++) {
+        const input = nextInput(session.getState(), tick);
+        if (!input) break;
+        session.tick(input);
+        if (session.isOver()) result = { score: session.getState().score, cause: session.getState().cause };
+    }
+    assert.ok(result, "the run should end on its own");
+    return { ...result, ticks: session.getState().ticks };
+}
+
+/**
+ * Records a scripted run into a replay, round-tripped through JSON like a saved replay file.
+ */
+function recordRun(seed) {
+    const recorder = ReplayRecorder(seed, META);
+    const session = GameSession({ ...META, seed });
+    const result = play(session, (state, tick) => {
+        const input = scriptedInput(state, tick);
+        recorder.record(input);
+        return input;
+    });
+    return { result, replay: parseReplay(JSON.stringify(recorder.finish(result))) };
+}
+
+test("a replay plays back to the recorded score and end", () => {
+    for (const seed of [1, 42, 2024]) {
+        const { result, replay } = recordRun(seed);
+        const player = ReplayPlayer(replay);
+        const playback = play(GameSession({ ...META, seed: replay.seed }), () => player.next());
+        assert.deepEqual(playback, result, `seed ${seed}`);
+        assert.ok(player.isFinished());
+    }
+});
+
+test("a recorded run ends with the pinned score", () => {
+    assert.equal(REPLAY_VERSION, PINNED_RUN.version, "the simulation changed, update PINNED_RUN");
+    const { result, replay } = recordRun(PINNED_RUN.seed);
+    assert.deepEqual(result, PINNED_RUN.result);
+    const player = ReplayPlayer(replay);
+    assert.deepEqual(play(GameSession({ ...META, seed: replay.seed }), () => player.next()), PINNED_RUN.result);
+});
+
+test("the same seed and input always give the same run", () => {
+    const first = recordRun(7);
+    const second = recordRun(7);
+    assert.deepEqual(second.result, first.result);
+    assert.deepEqual(second.replay.inputs, first.replay.inputs);
+});
+
+test("replays of another version are rejected", () => {
+    const { replay } = recordRun(1);
+    assert.throws(() => parseReplay(JSON.stringify({ ...replay, version: replay.version - 1 })), /Unsupported replay version/);
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ScoreTracker } from "../js/utils.mjs";
+
+test("every bonus raises the multiplier by one step up to the cap", () => {
+    const tracker = ScoreTracker();
+    tracker.start(0);
+    assert.equal(tracker.getMultiplier(), 1);
+    assert.equal(tracker.award("nearMiss", 10, 0, 0, 0), 10);
+    assert.equal(tracker.getMultiplier(), 1.5);
+    assert.equal(tracker.award("nearMiss", 10, 0, 0, 0), 15);
+    for (let i = 0; i < 20; i++) tracker.award("nearMiss", 10, 0, 0, 0);
+    assert.equal(tracker.getMultiplier(), 4);
+    assert.equal(tracker.getBreakdown().nearMiss, tracker.getScore());
+});
+
+test("the combo loses one step every two seconds without a bonus", () => {
+    const tracker = ScoreTracker();
+    tracker.start(0);
+    for (let i = 0; i < 3; i++) tracker.award("airtime", 5, 1000, 0, 0);
+    assert.equal(tracker.getMultiplier(), 2.5);
+    tracker.update(2999);
+    assert.equal(tracker.getMultiplier(), 2.5);
+    tracker.update(3000);
+    assert.equal(tracker.getMultiplier(), 2);
+    // Several steps at once after a long gap, never below 1
+    tracker.update(20000);
+    assert.equal(tracker.getMultiplier(), 1);
+});
+
+test("a capped combo starts decaying as soon as bonuses stop", () => {
+    const tracker = ScoreTracker();
+    tracker.start(0);
+    for (let i = 0; i < 20; i++) tracker.award("nearMiss", 1, i * 10, 0, 0);
+    tracker.update(190 + 2000);
+    assert.equal(tracker.getMultiplier(), 3.5);
+});
+
+test("a new bonus restarts the decay timer", () => {
+    const tracker = ScoreTracker();
+    tracker.start(0);
+    tracker.award("balance", 1, 0, 0, 0);
+    tracker.award("balance", 1, 1500, 0, 0);
+    tracker.update(3000);
+    assert.equal(tracker.getMultiplier(), 2);
+    tracker.update(3500);
+    assert.equal(tracker.getMultiplier(), 1.5);
+});
+
+test("bonuses that don't build the combo are still multiplied", () => {
+    const tracker = ScoreTracker();
+    tracker.start(0);
+    tracker.award("pickup", 10, 0, 0, 0);
+    assert.equal(tracker.award("balance", 10, 0, 0, 0, false), 15);
+    assert.equal(tracker.getMultiplier(), 1.5);
+});
+
+test("time counts one point per full second", () => {
+    const tracker = ScoreTracker();
+    tracker.start(0);
+    tracker.update(999);
+    assert.equal(tracker.getScore(), 0);
+    tracker.update(2500);
+    assert.equal(tracker.getScore(), 2);
+    tracker.update(3000);
+    assert.equal(tracker.getBreakdown().time, 3);
+});
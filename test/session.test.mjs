@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GameSession, TICK_MS } from "../js/session.mjs";
+
+const OPTIONS = { width: 800, height: 600, seed: 1 };
+const IDLE = { rotation: 0, jump: false };
+
+test("every tick advances the simulated time by one fixed step", () => {
+    const session = GameSession(OPTIONS);
+    assert.equal(session.getState().ticks, 0);
+    for (let i = 0; i < 30; i++) session.tick(IDLE);
+    const state = session.getState();
+    assert.equal(state.ticks, 30);
+    assert.ok(Math.abs(state.simTime - 30 * TICK_MS) < 1e-9);
+    assert.equal(state.width, 800);
+});
+
+test("the ball drops onto the platform at the start", () => {
+    const landings = [];
+    const session = GameSession(OPTIONS, { onLanded: (landing) => landings.push(landing) });
+    for (let i = 0; i < 60 && landings.length === 0; i++) session.tick(IDLE);
+    assert.equal(landings.length, 1);
+    assert.ok(landings[0].airTicks > 0);
+    assert.ok(session.getState().canJump);
+    assert.equal(session.isOver(), false);
+});
+
+test("getState returns a snapshot the caller cannot change the run through", () => {
+    const session = GameSession(OPTIONS);
+    session.tick(IDLE);
+    const state = session.getState();
+    state.x = -1000;
+    state.platforms[0].x1 = -1000;
+    assert.notEqual(session.getState().x, -1000);
+    assert.notEqual(session.getState().platforms[0].x1, -1000);
+});
+
+test("jumping off the platform reports the jump and the landing", () => {
+    const events = [];
+    const session = GameSession(OPTIONS, {
+        onJump: (jump) => events.push(["jump", jump.airJump]),
+        onLanded: (landing) => events.push(["landed", landing.airTicks > 0]),
+    });
+    // Settle on the platform first
+    for (let i = 0; i < 30; i++) session.tick(IDLE);
+    events.length = 0;
+    session.tick({ rotation: 0, jump: true });
+    assert.equal(session.getState().canJump, false);
+    for (let i = 0; i < 120 && events.length < 2; i++) session.tick(IDLE);
+    assert.deepEqual(events, [["jump", false], ["landed", true]]);
+});
+
+test("without input the platform tips over and the run ends on the ground", () => {
+    const results = [];
+    const session = GameSession(OPTIONS, { onGameOver: (result) => results.push(result) });
+    for (let i = 0; i < 60 * 60 && !session.isOver(); i++) session.tick(IDLE);
+    assert.equal(session.isOver(), true);
+    assert.equal(results.length, 1);
+    assert.equal(results[0].cause, "ground");
+    assert.equal(results[0].score, session.getState().score);
+    // A finished run ignores further ticks
+    const ticks = session.getState().ticks;
+    session.tick(IDLE);
+    assert.equal(session.getState().ticks, ticks);
+});
+
+test("quitting ends the run once", () => {
+    const results = [];
+    const session = GameSession(OPTIONS, { onGameOver: (result) => results.push(result.cause) });
+    session.tick(IDLE);
+    session.quit();
+    session.quit();
+    assert.deepEqual(results, ["quit"]);
+});
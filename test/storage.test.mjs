@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GameStorage } from "../js/storage.mjs";
+import { DEFAULT_AUDIO_SETTINGS } from "../js/audio.mjs";
+
+const STORAGE_KEY = "ballancier.save";
+
+/**
+ * In-memory backend holding a save game.
+ * @param {?Object} save - The save game to start with, null for none.
+ */
+function backendWith(save) {
+    const items = new Map(save ? [[STORAGE_KEY, JSON.stringify(save)]] : []);
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => { items.set(key, value); },
+        removeItem: (key) => { items.delete(key); },
+        read: () => JSON.parse(items.get(STORAGE_KEY)),
+    };
+}
+
+test("a save without a version keeps the selected design and the unlocks", () => {
+    const storage = GameStorage(backendWith({ highScore: 42, ballDesignId: 2, unlockedDesigns: [0, 1, 2] }));
+    assert.equal(storage.getBallDesignId(), 2);
+    assert.ok(storage.isDesignUnlocked(1));
+    assert.ok(!storage.isDesignUnlocked(3));
+});
+
+test("a corrupt or unknown save starts fresh", () => {
+    const corrupt = backendWith(null);
+    corrupt.setItem(STORAGE_KEY, "{not json");
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.equal(GameStorage(corrupt).getBallDesignId(), 0);
+        // An unknown version has no migration path
+        assert.equal(GameStorage(backendWith({ version: -1, ballDesignId: 3 })).getBallDesignId(), 0);
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test("high scores of a version 1 save move to the normal preset", () => {
+    const storage = GameStorage(backendWith({ version: 1, highScore: 42, ballDesignId: 0, unlockedDesigns: [0] }));
+    // Every earlier run was played on what is now "normal" endless
+    assert.equal(storage.getHighScore("normal"), 42);
+    assert.equal(storage.getHighScore("hard"), 0);
+    assert.equal(storage.getDifficulty(), "normal");
+});
+
+test("the migrated save is written back in the current schema", () => {
+    const backend = backendWith({ highScore: 7 });
+    GameStorage(backend).setHighScore("hard", 3);
+    const saved = backend.read();
+    assert.equal(saved.highScore, undefined);
+    assert.deepEqual(saved.highScores, { normal: 7, hard: 3 });
+});
+
+test("a version 2 save gets empty leaderboards and keeps its high scores", () => {
+    const storage = GameStorage(backendWith({
+        version: 2, highScores: { normal: 10, hard: 25 }, difficulty: "hard", ballDesignId: 1, unlockedDesigns: [0, 1],
+    }));
+    assert.equal(storage.getHighScore("hard"), 25);
+    assert.equal(storage.getDifficulty(), "hard");
+    assert.deepEqual(storage.getLeaderboard("hard"), []);
+    assert.equal(storage.getPlayerName(), "");
+});
+
+test("a version 3 save starts without achievements and keeps the player name", () => {
+    const storage = GameStorage(backendWith({ version: 3, highScores: { normal: 10 }, leaderboards: {}, playerName: "Ann" }));
+    assert.deepEqual(storage.getAchievementProgress(), { unlocked: {}, best: {}, totals: {} });
+    assert.equal(storage.getPlayerName(), "Ann");
+});
+
+test("a version 4 save gets the default audio settings", () => {
+    const storage = GameStorage(backendWith({
+        version: 4, highScores: { normal: 10 }, leaderboards: {}, playerName: "Ann", achievements: { unlocked: { liftOff: 1 }, best: {}, totals: {} },
+    }));
+    assert.deepEqual(storage.getAudioSettings(), DEFAULT_AUDIO_SETTINGS);
+    assert.deepEqual(storage.getAchievementProgress().unlocked, { liftOff: 1 });
+});